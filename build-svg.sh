@@ -5,8 +5,9 @@
 #
 # - Runs latexmk -dvi for proper reference resolution
 # - Converts DVI to SVG with dvisvgm
+# - Converts DVI to PDF with dvipdfmx (for the annotated PDF export)
 # - Extracts preamble macros for KaTeX
-# - Updates manifest.json
+# - Updates manifest.json (including per-page geometry, TeX source paths and outline)
 
 set -e
 
@@ -45,7 +46,7 @@ mkdir -p "$OUTPUT_DIR"
 echo ""
 echo "Running latexmk..."
 cd "$TEX_DIR"
-latexmk -dvi -interaction=nonstopmode "$TEX_BASE.tex"
+latexmk -dvi -synctex=1 -interaction=nonstopmode "$TEX_BASE.tex"
 
 DVI_FILE="$TEX_DIR/$TEX_BASE.dvi"
 if [ ! -f "$DVI_FILE" ]; then
@@ -64,6 +65,16 @@ dvisvgm --page=1- --font-format=woff2 --exact-bbox \
 PAGE_COUNT=$(ls -1 "$OUTPUT_DIR"/page-*.svg 2>/dev/null | wc -l | tr -d ' ')
 echo "Generated $PAGE_COUNT pages"
 
+# Same pages as a PDF, which the viewer draws annotations onto for export
+echo ""
+echo "Converting DVI to PDF..."
+PDF_URL=""
+if dvipdfmx -q -o "$OUTPUT_DIR/document.pdf" "$DVI_FILE"; then
+  PDF_URL="/docs/$DOC_NAME/document.pdf"
+else
+  echo "Warning: dvipdfmx failed, PDF export will be unavailable"
+fi
+
 # Extract preamble macros
 echo ""
 echo "Extracting preamble macros..."
@@ -84,12 +95,22 @@ const manifest = JSON.parse(fs.readFileSync('$MANIFEST', 'utf8'));
 manifest.documents['$DOC_NAME'] = {
   name: '$DOC_TITLE',
   pages: $PAGE_COUNT,
-  basePath: '/docs/$DOC_NAME/'
+  basePath: '/docs/$DOC_NAME/',
+  ...('$PDF_URL' ? { pdfUrl: '$PDF_URL' } : {})
 };
 fs.writeFileSync('$MANIFEST', JSON.stringify(manifest, null, 2));
 console.log('Manifest updated');
 "
 
+# Record per-page geometry (viewBox origin, size in points, canvas bounds)
+node scripts/page-geometry.js "$DOC_NAME"
+
+# Record where the sources live so synctex lookups can find them
+node scripts/doc-registry.js register "$DOC_NAME" "$TEX_DIR/$TEX_BASE.tex"
+
+# Record the table of contents, placed on the pages with synctex
+node scripts/outline.js "$DOC_NAME" || echo "Warning: no outline recorded"
+
 echo ""
 echo "Done! Access at: ?doc=$DOC_NAME"
 echo ""
@@ -1,17 +1,38 @@
 #!/bin/bash
 # Highlight a TeX line in TLDraw
-# Usage: ./highlight-line.sh <line> [file.tex]
+# Usage: ./highlight-line.sh <line> [file.tex] [doc-name]
+#
+# file.tex defaults to the document's texPath in doc-sources.json
+
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
 
 LINE=$1
-FILE=${2:-/Users/skip/work/bregman-lower-bound/bregman-lower-bound.tex}
+DOC=$3
 
 if [ -z "$LINE" ]; then
-  echo "Usage: ./highlight-line.sh <line> [file.tex]"
+  echo "Usage: ./highlight-line.sh <line> [file.tex] [doc-name]"
   exit 1
 fi
 
+DOC_ARGS=()
+if [ -n "$DOC" ]; then
+  DOC_ARGS=(--doc "$DOC")
+fi
+
+FILE=$2
+if [ -z "$FILE" ]; then
+  if [ -z "$DOC" ]; then
+    DOC=$(node "$SCRIPT_DIR/scripts/doc-registry.js" list | head -1 | cut -d: -f1)
+  fi
+  FILE=$(node "$SCRIPT_DIR/scripts/doc-registry.js" get "$DOC" texPath)
+  if [ -z "$FILE" ]; then
+    echo "No texPath registered for $DOC"
+    exit 1
+  fi
+fi
+
 # Get TLDraw coords from reverse synctex
-COORDS=$(node /Users/skip/work/claude-tldraw/synctex-reverse.mjs "$FILE" "$LINE" 2>/dev/null | grep "^JSON:" | sed 's/JSON: //')
+COORDS=$(node "$SCRIPT_DIR/synctex-reverse.mjs" "${DOC_ARGS[@]}" "$FILE" "$LINE" 2>/dev/null | grep "^JSON:" | sed 's/JSON: //')
 
 if [ -z "$COORDS" ]; then
   echo "Could not find coords for $FILE:$LINE"
@@ -5,6 +5,13 @@
  * Provides:
  * - HTTP endpoint to receive snapshots from Share button
  * - MCP tools to wait for / check feedback
+ * - MCP tool to list annotations as structured JSON
+ * - MCP tools to add notes at TeX lines and reply to notes
+ * - MCP tool to export annotations into the TeX source
+ *
+ * With SYNC_ROOM set, annotations are read from (and statuses written to) that
+ * room on the sync server instead of the Share button's snapshot file; see
+ * scripts/room-api.js for SYNC_SERVER and ROOM_TOKEN.
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
@@ -15,15 +22,31 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 import http from 'http';
 import fs from 'fs';
-import { spawn, execSync } from 'child_process';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
+import { lookupTldrawPoints } from '../synctex-lookup.mjs';
+import { reverseLookup } from '../synctex-reverse.mjs';
+import { documentForSnapshot, getDocument, resolveDocName } from '../scripts/doc-registry.js';
+import { loadGeometry } from '../scripts/page-geometry.js';
+import { exportReview } from '../scripts/export-review.js';
+import { getRoomSnapshot, patchRoomRecords } from '../scripts/room-api.js';
+import {
+  resolveAnnotations,
+  sortByDocumentOrder,
+  noteThread,
+  annotationStatus,
+  ANNOTATION_STATUSES,
+} from '../scripts/annotations.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 const SNAPSHOT_PATH = '/tmp/tldraw-snapshot.json';
 const SCREENSHOT_PATH = '/tmp/annotated-view.png';
+const NOTE_MARGIN = 20; // Gap between the page edge and notes added by add_note
+const SYNC_ROOM = process.env.SYNC_ROOM || null;
 
 // Track snapshot state
 let lastSnapshotTime = 0;
@@ -143,9 +166,9 @@ const httpServer = http.createServer(async (req, res) => {
       try {
         const { x, y, text } = JSON.parse(body);
         console.error(`Note at (${x}, ${y}): ${text.slice(0, 50)}...`);
-        broadcastNote(x, y, text);
+        const shapeId = broadcastNote(x, y, text);
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true, clients: wsClients.size }));
+        res.end(JSON.stringify({ ok: true, shapeId, clients: wsClients.size }));
       } catch (e) {
         res.writeHead(500, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: e.message }));
@@ -216,18 +239,28 @@ function broadcastHighlight(tldrawX, tldrawY, page) {
 }
 
 // Broadcast note (text) to all connected TLDraw clients
-function broadcastNote(tldrawX, tldrawY, text) {
+// Returns the ID the clients will give the new shape
+function broadcastNote(tldrawX, tldrawY, text, sourceAnchor) {
+  const id = `shape:${randomUUID()}`;
   const message = JSON.stringify({
     type: 'note',
+    id,
     x: tldrawX,
     y: tldrawY,
     text,
+    sourceAnchor,
   });
   for (const client of wsClients) {
     if (client.readyState === 1) { // OPEN
       client.send(message);
     }
   }
+  return id;
+}
+
+// Number of TLDraw clients that will receive a broadcast
+function openClientCount() {
+  return [...wsClients].filter(client => client.readyState === 1).length;
 }
 
 // Broadcast reply (append to existing note)
@@ -244,6 +277,49 @@ function broadcastReply(shapeId, text) {
   }
 }
 
+// Broadcast a status change (open / addressed / wontfix)
+function broadcastStatus(shapeId, status, comment) {
+  const message = JSON.stringify({
+    type: 'status',
+    shapeId,
+    status,
+    comment,
+  });
+  for (const client of wsClients) {
+    if (client.readyState === 1) { // OPEN
+      client.send(message);
+    }
+  }
+}
+
+// Store snapshot the annotation tools read: the live sync room if configured,
+// else the last one posted by the Share button (null if there is none yet)
+async function loadSnapshot() {
+  if (SYNC_ROOM) return getRoomSnapshot(SYNC_ROOM);
+  if (!fs.existsSync(SNAPSHOT_PATH)) return null;
+  return JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8'));
+}
+
+function statusMeta(status, comment) {
+  return {
+    status,
+    statusBy: 'claude',
+    statusAt: new Date().toISOString(),
+    statusComment: comment ?? null,
+  };
+}
+
+// Mirror a status change into the saved snapshot so the feedback tools
+// reflect it before the reviewer next hits Share
+function updateSnapshotStatus(shapeId, status, comment) {
+  if (!fs.existsSync(SNAPSHOT_PATH)) return;
+  const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8'));
+  const record = snapshot.store?.[shapeId];
+  if (!record) return;
+  record.meta = { ...record.meta, ...statusMeta(status, comment) };
+  fs.writeFileSync(SNAPSHOT_PATH, JSON.stringify(snapshot));
+}
+
 // MCP Server
 const server = new Server(
   { name: 'tldraw-feedback', version: '1.0.0' },
@@ -276,10 +352,15 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
     },
     {
       name: 'get_latest_feedback',
-      description: 'Get the latest feedback screenshot, regardless of whether it is new.',
+      description: 'Get the latest feedback screenshot, regardless of whether it is new. Lists open annotations only unless include_resolved is set.',
       inputSchema: {
         type: 'object',
-        properties: {},
+        properties: {
+          include_resolved: {
+            type: 'boolean',
+            description: "Also list annotations marked addressed or won't fix (default: false)",
+          },
+        },
       },
     },
     {
@@ -296,10 +377,129 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
             type: 'number',
             description: 'Line number in the TeX file',
           },
+          doc: {
+            type: 'string',
+            description: 'Document name from the manifest (optional when only one is registered)',
+          },
         },
         required: ['file', 'line'],
       },
     },
+    {
+      name: 'add_note',
+      description: 'Add a note (LaTeX math renders) in the margin next to a line of the TeX source. Returns the new shape ID for reply_to_note.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          file: {
+            type: 'string',
+            description: 'Path to the TeX file',
+          },
+          line: {
+            type: 'number',
+            description: 'Line number in the TeX file',
+          },
+          text: {
+            type: 'string',
+            description: 'Note text; $...$ and $$...$$ render as math',
+          },
+          doc: {
+            type: 'string',
+            description: 'Document name from the manifest (optional when only one is registered)',
+          },
+        },
+        required: ['file', 'line', 'text'],
+      },
+    },
+    {
+      name: 'reply_to_note',
+      description: 'Reply in the thread of an existing note, e.g. one returned by add_note or list_annotations.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          shapeId: {
+            type: 'string',
+            description: 'Shape ID of the note (e.g. "shape:abc123")',
+          },
+          text: {
+            type: 'string',
+            description: 'Reply text',
+          },
+        },
+        required: ['shapeId', 'text'],
+      },
+    },
+    {
+      name: 'set_annotation_status',
+      description: "Mark an annotation as open, addressed or won't fix, with an optional comment. Resolved annotations drop out of the feedback tools' default output.",
+      inputSchema: {
+        type: 'object',
+        properties: {
+          shapeId: {
+            type: 'string',
+            description: 'Shape ID of the annotation (e.g. "shape:abc123")',
+          },
+          status: {
+            type: 'string',
+            enum: ANNOTATION_STATUSES,
+          },
+          comment: {
+            type: 'string',
+            description: 'What was done about it, shown to the reviewer',
+          },
+        },
+        required: ['shapeId', 'status'],
+      },
+    },
+    {
+      name: 'list_annotations',
+      description: 'List every annotation in the latest snapshot as JSON: shape ID, type, color, note text and reply thread, review status, bounding box, arrow endpoints, page number and TeX source location.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          order: {
+            type: 'string',
+            enum: ['document', 'stacking'],
+            description: 'Sort by position in the document (page, then top to bottom) or back-to-front stacking order (default: document)',
+          },
+          doc: {
+            type: 'string',
+            description: 'Document name from the manifest (default: inferred from the snapshot)',
+          },
+          status: {
+            type: 'string',
+            enum: ANNOTATION_STATUSES,
+            description: 'Only annotations with this review status (default: all)',
+          },
+        },
+      },
+    },
+    {
+      name: 'export_review',
+      description: 'Turn annotations into "% REVIEW:" comments or \\todo{} lines above the TeX lines they refer to. Returns a unified diff, or writes an edited copy of the TeX tree.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          format: {
+            type: 'string',
+            enum: ['comment', 'todo'],
+            description: 'Comment lines or \\todo{} from todonotes (default: comment)',
+          },
+          out_dir: {
+            type: 'string',
+            description: 'Copy the TeX tree here and edit the copy instead of returning a diff',
+          },
+          include_resolved: {
+            type: 'boolean',
+            description: "Also export annotations marked addressed or won't fix (default: false)",
+          },
+          doc: {
+            type: 'string',
+            description: 'Document name from the manifest (default: inferred from the snapshot)',
+          },
+        },
+      },
+    },
   ],
 }));
 
@@ -362,7 +562,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         content: [{ type: 'text', text: 'No feedback screenshot available.' }],
       };
     }
-    const summary = await getAnnotationSummary();
+    const summary = await getAnnotationSummary({ includeResolved: args?.include_resolved });
     return {
       content: [{
         type: 'text',
@@ -372,7 +572,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 
   if (name === 'highlight_location') {
-    const { file, line } = args;
+    const { file, line, doc } = args;
     if (!file || !line) {
       return {
         content: [{ type: 'text', text: 'Missing file or line parameter' }],
@@ -382,13 +582,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     // Run reverse synctex lookup
     try {
-      const result = execSync(
-        `node "${path.join(PROJECT_ROOT, 'synctex-reverse.mjs')}" "${file}" ${line}`,
-        { encoding: 'utf8', cwd: PROJECT_ROOT, stdio: ['pipe', 'pipe', 'pipe'] }
-      );
-      const jsonMatch = result.match(/JSON: ({.*})/);
-      if (jsonMatch) {
-        const coords = JSON.parse(jsonMatch[1]);
+      const coords = await reverseLookup(file, line, doc);
+      if (coords) {
         broadcastHighlight(coords.tldrawX, coords.tldrawY, coords.page);
         return {
           content: [{
@@ -409,75 +604,270 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
   }
 
+  if (name === 'add_note') {
+    const { file, line, text, doc } = args;
+    if (!file || !line || !text) {
+      return {
+        content: [{ type: 'text', text: 'Missing file, line or text parameter' }],
+        isError: true,
+      };
+    }
+    if (openClientCount() === 0) {
+      return {
+        content: [{ type: 'text', text: 'No TLDraw client connected' }],
+        isError: true,
+      };
+    }
+
+    try {
+      const docName = resolveDocName(doc);
+      const coords = await reverseLookup(file, line, docName);
+      if (!coords) {
+        return {
+          content: [{ type: 'text', text: 'Could not find location in PDF' }],
+          isError: true,
+        };
+      }
+
+      // Put the note in the right margin, level with the line
+      const page = loadGeometry(docName)[coords.page - 1];
+      const x = page ? page.bounds.x + page.bounds.width + NOTE_MARGIN : coords.tldrawX;
+      const y = coords.tldrawY - NOTE_MARGIN;
+
+      // Anchors are stored relative to the document root, like the ones the client makes
+      const root = getDocument(docName).dir;
+      const absFile = path.resolve(file);
+      const sourceAnchor = { file: root ? path.relative(root, absFile) : absFile, line };
+
+      const shapeId = broadcastNote(x, y, text, sourceAnchor);
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ shapeId, page: coords.page, x, y, sourceAnchor }),
+        }],
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Synctex error: ${e.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'reply_to_note') {
+    const { shapeId, text } = args;
+    if (!shapeId || !text) {
+      return {
+        content: [{ type: 'text', text: 'Missing shapeId or text parameter' }],
+        isError: true,
+      };
+    }
+    if (openClientCount() === 0) {
+      return {
+        content: [{ type: 'text', text: 'No TLDraw client connected' }],
+        isError: true,
+      };
+    }
+
+    broadcastReply(shapeId, text);
+    return {
+      content: [{ type: 'text', text: `Replied to ${shapeId}` }],
+    };
+  }
+
+  if (name === 'set_annotation_status') {
+    const { shapeId, status, comment } = args;
+    if (!shapeId || !ANNOTATION_STATUSES.includes(status)) {
+      return {
+        content: [{ type: 'text', text: `Missing shapeId or invalid status (one of: ${ANNOTATION_STATUSES.join(', ')})` }],
+        isError: true,
+      };
+    }
+
+    // Through the sync room, which relays it to every reviewer in it
+    if (SYNC_ROOM) {
+      try {
+        await patchRoomRecords(SYNC_ROOM, [{ id: shapeId, meta: statusMeta(status, comment) }]);
+      } catch (e) {
+        return {
+          content: [{ type: 'text', text: `Sync server error: ${e.message}` }],
+          isError: true,
+        };
+      }
+      return {
+        content: [{ type: 'text', text: `Marked ${shapeId} ${status}` }],
+      };
+    }
+
+    if (openClientCount() === 0) {
+      return {
+        content: [{ type: 'text', text: 'No TLDraw client connected' }],
+        isError: true,
+      };
+    }
+
+    broadcastStatus(shapeId, status, comment);
+    updateSnapshotStatus(shapeId, status, comment);
+    return {
+      content: [{ type: 'text', text: `Marked ${shapeId} ${status}` }],
+    };
+  }
+
+  if (name === 'export_review') {
+    try {
+      const snapshot = await loadSnapshot();
+      if (!snapshot) {
+        return {
+          content: [{ type: 'text', text: 'No snapshot file found.' }],
+          isError: true,
+        };
+      }
+      const result = await exportReview(snapshot, {
+        docName: args?.doc,
+        format: args?.format || 'comment',
+        includeResolved: args?.include_resolved,
+        outDir: args?.out_dir && path.resolve(args.out_dir),
+      });
+
+      let text = args?.out_dir
+        ? `Wrote ${result.exported} annotation(s) into ${result.files.join(', ') || 'no files'} under ${args.out_dir}`
+        : result.diff || 'No annotations to export.';
+      if (result.skipped.length) {
+        text += `\n\nSkipped (no source location): ${result.skipped.map(a => a.id).join(', ')}`;
+      }
+      if (result.asComments.length) {
+        text += `\n\nExported as % REVIEW: comments (math can't go in a \\todo{}): ${result.asComments.map(a => a.id).join(', ')}`;
+      }
+      return {
+        content: [{ type: 'text', text }],
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Export error: ${e.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'list_annotations') {
+    try {
+      const snapshot = await loadSnapshot();
+      if (!snapshot) {
+        return {
+          content: [{ type: 'text', text: 'No snapshot file found.' }],
+          isError: true,
+        };
+      }
+      let annotations = await listAnnotations(snapshot, args?.doc, args?.order || 'document');
+      if (args?.status) annotations = annotations.filter(ann => ann.status === args.status);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(annotations, null, 2) }],
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Error reading snapshot: ${e.message}` }],
+        isError: true,
+      };
+    }
+  }
+
   return {
     content: [{ type: 'text', text: `Unknown tool: ${name}` }],
     isError: true,
   };
 });
 
-// Run synctex lookup for a single TLDraw coordinate
-function synctexLookupCoord(x, y) {
+// Run synctex lookups for many TLDraw coordinates at once
+async function synctexLookupCoords(points, docName) {
   try {
-    const result = execSync(
-      `node "${path.join(PROJECT_ROOT, 'synctex-lookup.mjs')}" ${x} ${y}`,
-      { encoding: 'utf8', cwd: PROJECT_ROOT, stdio: ['pipe', 'pipe', 'pipe'] }
-    );
-    // Parse the JSON output at the end
-    const jsonMatch = result.match(/JSON: ({.*})/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[1]);
-    }
-    return null;
+    return await lookupTldrawPoints(points, docName);
   } catch (e) {
-    return null;
+    return points.map(() => null);
   }
 }
 
-async function getAnnotationSummary() {
-  if (!fs.existsSync(SNAPSHOT_PATH)) {
-    return 'No snapshot file found.';
+// Structured annotations with source locations, in the requested order
+async function listAnnotations(snapshot, docName, order) {
+  let { annotations } = await resolveAnnotations(snapshot, docName);
+
+  if (order === 'stacking') {
+    // Fractional indexes: back to front, which is also creation order unless shapes were reordered
+    annotations.sort((a, b) => (snapshot.store[a.id].index < snapshot.store[b.id].index ? -1 : 1));
+  } else {
+    annotations = sortByDocumentOrder(annotations);
   }
+  return annotations;
+}
 
+// Plain-text summary for the feedback tools; resolved annotations are left out
+// unless includeResolved is set, so each review round only shows what's still open
+async function getAnnotationSummary({ includeResolved = false } = {}) {
   try {
-    const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8'));
-    const annotations = [];
-
-    for (const [id, record] of Object.entries(snapshot.store || {})) {
-      if (record.typeName === 'shape' && record.type !== 'image') {
-        const ann = {
-          type: record.type,
-          x: Math.round(record.x),
-          y: Math.round(record.y),
-          color: record.props?.color,
-        };
+    const snapshot = await loadSnapshot();
+    if (!snapshot) return 'No snapshot file found.';
+    const allShapes = Object.values(snapshot.store || {})
+      .filter(record => record.typeName === 'shape' && record.type !== 'image');
+    const shapes = includeResolved
+      ? allShapes
+      : allShapes.filter(record => annotationStatus(record) === 'open');
+    const hidden = allShapes.length - shapes.length;
+
+    // Look up TeX source locations in one batch
+    const docName = documentForSnapshot(snapshot) || undefined;
+    const lookups = await synctexLookupCoords(shapes.map(r => ({ x: r.x, y: r.y })), docName);
+
+    const annotations = shapes.map((record, i) => {
+      const ann = {
+        id: record.id,
+        type: record.type,
+        x: Math.round(record.x),
+        y: Math.round(record.y),
+        color: record.props?.color,
+        status: annotationStatus(record),
+      };
 
-        // Look up TeX source location
-        const lookup = synctexLookupCoord(record.x, record.y);
-        if (lookup) {
-          ann.source = {
-            file: lookup.file,
-            line: lookup.line,
-            page: lookup.page,
-          };
-        }
+      if (record.type === 'math-note') {
+        ann.thread = noteThread(record);
+      }
+      if (record.type === 'text-highlight' && record.meta?.text) {
+        ann.highlightedText = record.meta.text;
+      }
 
-        annotations.push(ann);
+      const lookup = lookups[i];
+      if (lookup) {
+        ann.source = {
+          file: lookup.file,
+          line: lookup.line,
+          page: lookup.page,
+        };
       }
-    }
 
+      return ann;
+    });
+
+    const hiddenStr = hidden ? ` (${hidden} resolved hidden)` : '';
     if (annotations.length === 0) {
-      return 'No annotations found.';
+      return `No ${includeResolved ? '' : 'open '}annotations found.${hiddenStr}`;
     }
 
-    let summary = `Found ${annotations.length} annotation(s):\n`;
+    let summary = `Found ${annotations.length} ${includeResolved ? '' : 'open '}annotation(s)${hiddenStr}:\n`;
     annotations.forEach((a, i) => {
       const colorStr = a.color ? ` (${a.color})` : '';
-      summary += `  ${i + 1}. ${a.type}${colorStr} at (${a.x}, ${a.y})`;
+      const statusStr = a.status !== 'open' ? ` [${a.status}]` : '';
+      summary += `  ${i + 1}. ${a.type}${colorStr} at (${a.x}, ${a.y}) ${a.id}${statusStr}`;
       if (a.source) {
         const relPath = path.relative(PROJECT_ROOT, a.source.file);
         summary += `\n     → ${relPath}:${a.source.line}`;
         summary += `\n     → texsync://file${a.source.file}:${a.source.line}`;
       }
+      if (a.highlightedText) {
+        summary += `\n     Highlighted: "${a.highlightedText}"`;
+      }
+      if (a.thread) {
+        for (const message of a.thread) {
+          summary += `\n     ${message.author}: ${message.body.replace(/\n/g, '\n       ')}`;
+        }
+      }
       summary += '\n';
     });
 
@@ -0,0 +1,236 @@
+// Structured annotations from a TLDraw store snapshot
+// Turns shape records into plain JSON (text, bounds, page, source anchor)
+// for the MCP server and other tools that reason about reviewer feedback.
+
+import { b64Vecs } from '@tldraw/tlschema'
+import { findPageAt } from '../src/pageGeometry.js'
+import { documentForSnapshot } from './doc-registry.js'
+import { loadGeometry } from './page-geometry.js'
+import { lookupTldrawPoints } from '../synctex-lookup.mjs'
+
+const NOTE_SIZE = 200 // tldraw's sticky note size
+
+// Review statuses (see src/annotationStatus.ts); shapes without one are open
+export const ANNOTATION_STATUSES = ['open', 'addressed', 'wontfix']
+
+/**
+ * Review status of a shape record
+ * @param {object} shape
+ * @returns {'open' | 'addressed' | 'wontfix'}
+ */
+export function annotationStatus(shape) {
+  const status = shape.meta?.status
+  return ANNOTATION_STATUSES.includes(status) ? status : 'open'
+}
+
+/**
+ * Flatten TipTap rich text (as stored in props.richText) to plain text
+ * Paragraphs and hard breaks become newlines
+ * @param {object | undefined} richText
+ * @returns {string}
+ */
+export function richTextToPlain(richText) {
+  if (!richText) return ''
+
+  function walk(node) {
+    if (node.type === 'text') return node.text || ''
+    if (node.type === 'hardBreak') return '\n'
+    const inner = (node.content || []).map(walk).join('')
+    return node.type === 'paragraph' || node.type === 'heading' ? inner + '\n' : inner
+  }
+
+  return walk(richText).replace(/\n+$/, '')
+}
+
+/**
+ * Whole conversation on a note: the note text, then its replies
+ * (see src/noteThread.ts for how replies are stored)
+ * @param {object} shape - math-note or note shape record
+ * @param {string} [text] - The note's text (default: a math note's props.text)
+ * @returns {Array<{ author: string, time: string | null, body: string }>}
+ */
+export function noteThread(shape, text = shape.props.text || '') {
+  const opening = {
+    author: shape.meta?.author || 'reviewer',
+    time: shape.meta?.createdAt || null,
+    body: text,
+  }
+  const replies = (shape.meta?.thread || []).map(({ author, time, body }) => ({ author, time, body }))
+  return [opening, ...replies]
+}
+
+// Shape-local point → page point, following parent shapes (frames, groups)
+function toPagePoint(store, shape, x, y) {
+  let point = { x, y }
+  for (let s = shape; s && s.typeName === 'shape'; s = store[s.parentId]) {
+    const cos = Math.cos(s.rotation || 0)
+    const sin = Math.sin(s.rotation || 0)
+    point = {
+      x: s.x + point.x * cos - point.y * sin,
+      y: s.y + point.x * sin + point.y * cos,
+    }
+  }
+  return point
+}
+
+// Outline points in shape-local space, used for the bounding box
+function localOutline(shape) {
+  const { props } = shape
+
+  if (shape.type === 'draw' || shape.type === 'highlight') {
+    const sx = props.scaleX ?? 1
+    const sy = props.scaleY ?? 1
+    return (props.segments || [])
+      .flatMap(seg => Array.isArray(seg.points) ? seg.points : b64Vecs.decodePoints(seg.path || ''))
+      .map(p => ({ x: p.x * sx, y: p.y * sy }))
+  }
+  if (shape.type === 'arrow') {
+    return [props.start, props.end].filter(Boolean)
+  }
+  if (shape.type === 'line') {
+    return Object.values(props.points || {})
+  }
+
+  // Sticky notes are a fixed 200px square that grows downward with its text
+  const scale = props.scale ?? 1
+  const w = shape.type === 'note' ? NOTE_SIZE * scale : (props.w ?? 0)
+  const h = shape.type === 'note' ? (NOTE_SIZE + (props.growY ?? 0)) * scale : (props.h ?? 0) + (props.growY ?? 0)
+  return [{ x: 0, y: 0 }, { x: w, y: 0 }, { x: 0, y: h }, { x: w, y: h }]
+}
+
+function boundingBox(points) {
+  if (points.length === 0) return null
+  const xs = points.map(p => p.x)
+  const ys = points.map(p => p.y)
+  const x = Math.min(...xs)
+  const y = Math.min(...ys)
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y }
+}
+
+/**
+ * Extract annotations from a TLDraw store snapshot
+ * @param {{ store: Record<string, object> }} snapshot
+ * @param {import('../src/pageGeometry').PageGeometry[]} [pages] - Document layout, for page numbers
+ * @returns {object[]} One entry per annotation shape, in store order
+ */
+export function extractAnnotations(snapshot, pages = []) {
+  const store = snapshot.store || {}
+  const records = Object.values(store)
+
+  // Arrow bindings: arrow id → { start, end } target shape ids
+  const arrowTargets = {}
+  for (const record of records) {
+    if (record.typeName !== 'binding' || record.type !== 'arrow') continue
+    arrowTargets[record.fromId] ??= {}
+    arrowTargets[record.fromId][record.props.terminal] = record.toId
+  }
+
+  const annotations = []
+  for (const shape of records) {
+    // Images are the document pages themselves; groups only hold other shapes
+    if (shape.typeName !== 'shape' || shape.type === 'image' || shape.type === 'group') continue
+
+    const outline = localOutline(shape).map(p => toPagePoint(store, shape, p.x, p.y))
+    const bounds = boundingBox(outline) || { ...toPagePoint(store, shape, 0, 0), width: 0, height: 0 }
+
+    const ann = {
+      id: shape.id,
+      type: shape.type,
+      color: shape.props?.color,
+      bounds,
+      page: findPageAt(pages, bounds.y + bounds.height / 2)?.page ?? null,
+      status: annotationStatus(shape),
+    }
+    if (shape.meta?.statusComment) {
+      ann.statusComment = shape.meta.statusComment
+    }
+
+    if (shape.type === 'math-note') {
+      ann.text = shape.props.text || ''
+      ann.thread = noteThread(shape)
+    } else if (shape.props?.richText) {
+      ann.text = richTextToPlain(shape.props.richText)
+      if (shape.type === 'note' && shape.meta?.thread?.length) ann.thread = noteThread(shape, ann.text)
+    } else if (shape.type === 'text-highlight') {
+      // The words the highlight snapped to (see src/TextHighlightTool.tsx)
+      ann.text = shape.meta?.text || ''
+    }
+
+    if (shape.type === 'arrow') {
+      ann.arrow = {
+        start: toPagePoint(store, shape, shape.props.start.x, shape.props.start.y),
+        end: toPagePoint(store, shape, shape.props.end.x, shape.props.end.y),
+        startShapeId: arrowTargets[shape.id]?.start ?? null,
+        endShapeId: arrowTargets[shape.id]?.end ?? null,
+      }
+    }
+
+    // Anchored when the note was created (see src/synctexAnchor.ts)
+    if (shape.meta?.sourceAnchor) {
+      ann.source = { ...shape.meta.sourceAnchor, origin: 'anchor' }
+    }
+
+    annotations.push(ann)
+  }
+
+  return annotations
+}
+
+/**
+ * Canvas point that best represents where an annotation points in the document
+ * Arrows point with their head; everything else with its center
+ * @param {object} ann - From extractAnnotations
+ * @returns {{ x: number, y: number }}
+ */
+export function annotationFocus(ann) {
+  if (ann.arrow) return ann.arrow.end
+  return { x: ann.bounds.x + ann.bounds.width / 2, y: ann.bounds.y + ann.bounds.height / 2 }
+}
+
+/**
+ * Sort annotations in reading order: page, then top to bottom, then left to right
+ * Annotations without a page number go last
+ * @param {object[]} annotations
+ * @returns {object[]} New sorted array
+ */
+export function sortByDocumentOrder(annotations) {
+  return [...annotations].sort((a, b) =>
+    (a.page ?? Infinity) - (b.page ?? Infinity) ||
+    a.bounds.y - b.bounds.y ||
+    a.bounds.x - b.bounds.x
+  )
+}
+
+/**
+ * Annotations with page numbers and TeX source locations
+ * Shapes anchored when created keep their stored anchor; the rest get a live synctex lookup
+ * @param {{ store: Record<string, object> }} snapshot
+ * @param {string} [docName] - Document in the manifest (default: inferred from the snapshot)
+ * @returns {Promise<{ docName: string | undefined, annotations: object[] }>}
+ */
+export async function resolveAnnotations(snapshot, docName) {
+  docName = docName || documentForSnapshot(snapshot) || undefined
+
+  let pages = []
+  try {
+    if (docName) pages = loadGeometry(docName)
+  } catch (e) {
+    console.error(`No page geometry for ${docName}: ${e.message}`)
+  }
+
+  const annotations = extractAnnotations(snapshot, pages)
+
+  const unanchored = annotations.filter(ann => !ann.source)
+  let lookups
+  try {
+    lookups = await lookupTldrawPoints(unanchored.map(annotationFocus), docName)
+  } catch (e) {
+    console.error(`Synctex lookup failed: ${e.message}`)
+    lookups = []
+  }
+  unanchored.forEach((ann, i) => {
+    if (lookups[i]) ann.source = { file: lookups[i].file, line: lookups[i].line, origin: 'synctex' }
+  })
+
+  return { docName, annotations }
+}
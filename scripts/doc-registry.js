@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// Document registry backed by public/docs/manifest.json and doc-sources.json
+// The manifest is served to the viewer and holds what it needs (title, pages,
+// geometry, outline); where each document's TeX sources live on this machine
+// is kept apart in doc-sources.json, which is never served. Together they let
+// every tool (synctex server, lookup scripts, viewer, MCP server) resolve a
+// document by name.
+//
+// Usage:
+//   node scripts/doc-registry.js list
+//   node scripts/doc-registry.js get <doc-name> [field]
+//   node scripts/doc-registry.js register <doc-name> <tex-path>
+
+import { readFileSync, writeFileSync, existsSync, renameSync, statSync } from 'fs'
+import { join, dirname, basename, resolve } from 'path'
+import { fileURLToPath } from 'url'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+export const DOCS_DIR = join(__dirname, '..', 'public', 'docs')
+export const MANIFEST_PATH = process.env.DOCS_MANIFEST || join(DOCS_DIR, 'manifest.json')
+export const SOURCES_PATH = process.env.DOCS_SOURCES || join(__dirname, '..', 'doc-sources.json')
+
+// Servers resolve documents on every request, so files are only re-parsed on change
+const fileCache = new Map()
+
+// { documents: {...} } from a JSON file (an empty one if it doesn't exist yet)
+function readDocuments(path) {
+  if (!existsSync(path)) return { documents: {} }
+
+  const mtime = statSync(path).mtimeMs
+  const cached = fileCache.get(path)
+  if (!cached || cached.mtime !== mtime) {
+    const data = JSON.parse(readFileSync(path, 'utf8'))
+    if (!data.documents) data.documents = {}
+    fileCache.set(path, { mtime, data })
+  }
+  return structuredClone(fileCache.get(path).data)
+}
+
+function writeDocuments(path, data) {
+  const tmpPath = path + '.tmp'
+  writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n')
+  renameSync(tmpPath, path)
+  fileCache.delete(path)
+}
+
+/**
+ * Read the manifest (an empty one if it doesn't exist yet)
+ * @returns {{ documents: Record<string, object> }}
+ */
+export function loadManifest() {
+  return readDocuments(MANIFEST_PATH)
+}
+
+/**
+ * Write the manifest back to disk
+ * @param {{ documents: Record<string, object> }} manifest
+ */
+export function saveManifest(manifest) {
+  writeDocuments(MANIFEST_PATH, manifest)
+}
+
+// A manifest entry joined with its TeX sources; source paths are derived from
+// the tex file when the sources entry doesn't spell them out
+function withSourcePaths(name, config, sources = {}) {
+  const doc = { name, ...config, id: name }
+  if (sources.texPath) {
+    const dir = dirname(sources.texPath)
+    const base = basename(sources.texPath, '.tex')
+    doc.texPath = sources.texPath
+    doc.dir = dir
+    doc.pdfPath = sources.pdfPath || join(dir, base + '.pdf')
+    doc.synctexPath = sources.synctexPath || join(dir, base + '.synctex.gz')
+  }
+  doc.svgDir = join(DOCS_DIR, (config.basePath || `/docs/${name}/`).replace(/^\/docs\//, ''))
+  return doc
+}
+
+/**
+ * Look up a document by name
+ * @param {string} name - Key in manifest.documents or doc-sources.json
+ * @returns {{ id: string, name: string, texPath?: string, pdfPath?: string, synctexPath?: string, dir?: string, svgDir: string, geometry?: object[] } | null}
+ */
+export function getDocument(name) {
+  const config = loadManifest().documents[name]
+  const sources = readDocuments(SOURCES_PATH).documents[name]
+  return config || sources ? withSourcePaths(name, config ?? {}, sources) : null
+}
+
+/**
+ * All documents, in the manifest or with registered sources
+ */
+export function listDocuments() {
+  const manifest = loadManifest().documents
+  const sources = readDocuments(SOURCES_PATH).documents
+  const names = new Set([...Object.keys(manifest), ...Object.keys(sources)])
+  return [...names].map(name => withSourcePaths(name, manifest[name] ?? {}, sources[name]))
+}
+
+/**
+ * Resolve an optional document name: the given one, or the only document
+ * @param {string | undefined} name
+ * @returns {string}
+ */
+export function resolveDocName(name) {
+  if (name) {
+    if (!getDocument(name)) throw new Error(`Document not found in manifest: ${name}`)
+    return name
+  }
+  const names = listDocuments().map(doc => doc.id)
+  if (names.length === 1) return names[0]
+  throw new Error(`Specify a document (one of: ${names.join(', ') || 'none registered'})`)
+}
+
+/**
+ * Record a document's TeX sources in doc-sources.json
+ * @param {string} name - Document name
+ * @param {string} texPath - Path to the main .tex file
+ */
+export function registerDocument(name, texPath) {
+  if (!name || typeof name !== 'string') throw new Error('A document name is required')
+  if (typeof texPath !== 'string' || !texPath.endsWith('.tex')) throw new Error('texPath must be a .tex file')
+
+  const fullPath = resolve(texPath)
+  const dir = dirname(fullPath)
+  const base = basename(fullPath, '.tex')
+
+  const sources = readDocuments(SOURCES_PATH)
+  sources.documents[name] = {
+    texPath: fullPath,
+    pdfPath: join(dir, base + '.pdf'),
+    synctexPath: join(dir, base + '.synctex.gz'),
+  }
+  writeDocuments(SOURCES_PATH, sources)
+  return getDocument(name)
+}
+
+/**
+ * Work out which document a TLDraw store snapshot was taken from
+ * Page backgrounds have ids like "shape:<title>-page-0"
+ * @param {object} snapshot - TLDraw store snapshot
+ * @returns {string | null} Document name
+ */
+export function documentForSnapshot(snapshot) {
+  const documents = loadManifest().documents
+  for (const record of Object.values(snapshot.store || {})) {
+    const match = record.typeName === 'shape' && record.id.match(/^shape:(.+)-page-\d+$/)
+    if (!match) continue
+    for (const [name, config] of Object.entries(documents)) {
+      if (name === match[1] || config.name === match[1]) return name
+    }
+  }
+  const names = Object.keys(documents)
+  return names.length === 1 ? names[0] : null
+}
+
+// CLI usage
+if (process.argv[1].endsWith('doc-registry.js')) {
+  const [,, cmd, name, arg] = process.argv
+
+  if (cmd === 'list') {
+    for (const doc of listDocuments()) {
+      console.log(`${doc.id}: ${doc.name}${doc.texPath ? ` (${doc.texPath})` : ''}`)
+    }
+  } else if (cmd === 'get' && name) {
+    const doc = getDocument(name)
+    if (!doc) {
+      console.error(`Document not found in manifest: ${name}`)
+      process.exit(1)
+    }
+    console.log(arg ? (doc[arg] ?? '') : JSON.stringify({ ...doc, geometry: undefined }, null, 2))
+  } else if (cmd === 'register' && name && arg) {
+    const doc = registerDocument(name, arg)
+    console.log(`Registered: ${name} → ${doc.texPath}`)
+  } else {
+    console.log('Usage:')
+    console.log('  doc-registry.js list')
+    console.log('  doc-registry.js get <doc-name> [field]')
+    console.log('  doc-registry.js register <doc-name> <tex-path>')
+  }
+}
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+// Export review annotations into the LaTeX source
+// Each annotation becomes a "% REVIEW:" comment or a \todo{} on its own line
+// above the source line it's anchored to (stored anchor, else a synctex lookup).
+// Only open annotations are exported unless --all is given.
+//
+// Usage:
+//   node scripts/export-review.js [options]              # Print a unified diff
+//   node scripts/export-review.js --write <dir> [options] # Copy the TeX tree to <dir> and edit it
+//
+// Options:
+//   --doc <name>           Document in public/docs/manifest.json (default: from the snapshot)
+//   --snapshot <path>      TLDraw snapshot (default: /tmp/tldraw-snapshot.json)
+//   --room <id>            Read the annotations from a sync server room instead (see room-api.js)
+//   --format comment|todo  "% REVIEW:" comments (default) or \todo{} (needs todonotes)
+//   --all                  Include annotations marked addressed / won't fix
+
+import { readFileSync, writeFileSync, existsSync, cpSync } from 'fs'
+import { join, relative, resolve, isAbsolute } from 'path'
+import { getDocument, resolveDocName } from './doc-registry.js'
+import { resolveAnnotations, sortByDocumentOrder } from './annotations.js'
+import { getRoomSnapshot } from './room-api.js'
+
+const DEFAULT_SNAPSHOT = '/tmp/tldraw-snapshot.json'
+const CONTEXT_LINES = 3
+
+const AUTHOR_LABELS = { reviewer: 'Reviewer', claude: 'Claude' }
+
+// Messages an annotation carries: its thread, its text, or a description of the mark
+function annotationMessages(ann) {
+  if (ann.thread) {
+    return ann.thread.map(m => ({ author: AUTHOR_LABELS[m.author] || m.author, body: m.body }))
+  }
+  if (ann.type === 'text-highlight') return [{ author: null, body: `Highlighted "${ann.text}"` }]
+  if (ann.text) return [{ author: null, body: ann.text }]
+  return [{ author: null, body: `${ann.color ? ann.color + ' ' : ''}${ann.type} mark` }]
+}
+
+// "% REVIEW:" comment lines, continuation lines indented under the first
+function commentLines(ann, indent) {
+  const status = ann.status !== 'open' ? ` [${ann.status}]` : ''
+  const lines = []
+  for (const { author, body } of annotationMessages(ann)) {
+    const bodyLines = body.split('\n')
+    const first = `${author ? author + ': ' : ''}${bodyLines[0]}`
+    lines.push(lines.length === 0 ? `${indent}% REVIEW${status}: ${first}` : `${indent}%   ${first}`)
+    for (const more of bodyLines.slice(1)) lines.push(`${indent}%   ${more}`)
+  }
+  return lines
+}
+
+const TEX_SPECIALS = {
+  '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '#': '\\#', '$': '\\$',
+  '&': '\\&', '_': '\\_', '%': '\\%', '^': '\\^{}', '~': '\\~{}',
+}
+const MATH_SPAN = /\$\$[\s\S]+?\$\$|\$[^$]+\$/g
+
+// Math kept as written if it can sit in a macro argument: balanced braces and
+// no # or & (% is escaped); null otherwise
+function todoMath(math) {
+  let depth = 0
+  for (const [token] of math.matchAll(/\\.|[{}#&]/g)) {
+    if (token === '{') depth++
+    else if (token === '}' && --depth < 0) return null
+    else if (token === '#' || token === '&') return null
+  }
+  return depth === 0 ? math.replace(/(?<!\\)%/g, '\\%') : null
+}
+
+// Single \todo{} line, TeX specials escaped outside math; null when the math
+// can't go in the argument safely
+function todoLines(ann, indent) {
+  const status = ann.status !== 'open' ? `[${ann.status}] ` : ''
+  const text = annotationMessages(ann)
+    .map(({ author, body }) => `${author ? author + ': ' : ''}${body}`)
+    .join(' | ')
+    .replace(/\s*\n\s*/g, ' ')
+
+  let escaped = ''
+  let last = 0
+  for (const match of text.matchAll(MATH_SPAN)) {
+    const math = todoMath(match[0])
+    if (math === null) return null
+    escaped += text.slice(last, match.index).replace(/[\\{}#$&_%^~]/g, c => TEX_SPECIALS[c]) + math
+    last = match.index + match[0].length
+  }
+  escaped += text.slice(last).replace(/[\\{}#$&_%^~]/g, c => TEX_SPECIALS[c])
+  return [`${indent}\\todo{${status}${escaped}}%`]
+}
+
+/**
+ * Group annotations into per-file line insertions
+ * @param {object[]} annotations - From resolveAnnotations, in document order
+ * @param {string} texRoot - Directory anchors are relative to
+ * @param {{ format?: 'comment' | 'todo', readLines: (file: string) => string[] | null }} options
+ * @returns {{ files: Map<string, Array<{ line: number, lines: string[] }>>, skipped: object[], asComments: object[] }}
+ *   asComments: annotations exported as comments because they can't be a \todo{}
+ */
+export function reviewInsertions(annotations, texRoot, { format = 'comment', readLines }) {
+  const files = new Map()
+  const skipped = []
+  const asComments = []
+
+  for (const ann of annotations) {
+    if (!ann.source?.file || !ann.source.line) {
+      skipped.push(ann)
+      continue
+    }
+    const file = isAbsolute(ann.source.file) ? ann.source.file : resolve(texRoot, ann.source.file)
+    const source = readLines(file)
+    if (!source) {
+      skipped.push(ann)
+      continue
+    }
+
+    const line = Math.min(ann.source.line, source.length + 1)
+    const indent = source[line - 1]?.match(/^\s*/)[0] ?? ''
+    let lines = format === 'todo' ? todoLines(ann, indent) : null
+    if (format === 'todo' && !lines) asComments.push(ann)
+    lines ??= commentLines(ann, indent)
+
+    if (!files.has(file)) files.set(file, [])
+    files.get(file).push({ line, lines })
+  }
+
+  // Stable sort keeps document order among annotations on the same line
+  for (const insertions of files.values()) insertions.sort((a, b) => a.line - b.line)
+  return { files, skipped, asComments }
+}
+
+/**
+ * Insert lines before the given (1-indexed) source lines
+ * @param {string[]} source
+ * @param {Array<{ line: number, lines: string[] }>} insertions - Sorted by line
+ * @returns {string[]}
+ */
+export function applyInsertions(source, insertions) {
+  const result = []
+  let next = 0
+  for (let i = 0; i <= source.length; i++) {
+    while (next < insertions.length && insertions[next].line === i + 1) {
+      result.push(...insertions[next++].lines)
+    }
+    if (i < source.length) result.push(source[i])
+  }
+  return result
+}
+
+/**
+ * Unified diff for a file that only gains lines
+ * @param {string} name - Path shown in the diff headers
+ * @param {string[]} source
+ * @param {Array<{ line: number, lines: string[] }>} insertions - Sorted by line
+ * @returns {string}
+ */
+export function insertionDiff(name, source, insertions) {
+  // Old-line ranges around each insertion point, merged when they touch
+  const hunks = []
+  for (const ins of insertions) {
+    const start = Math.max(1, ins.line - CONTEXT_LINES)
+    const end = Math.min(source.length, ins.line + CONTEXT_LINES - 1)
+    const last = hunks[hunks.length - 1]
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end)
+      last.insertions.push(ins)
+    } else {
+      hunks.push({ start, end, insertions: [ins] })
+    }
+  }
+
+  let out = `--- a/${name}\n+++ b/${name}\n`
+  let added = 0
+  for (const hunk of hunks) {
+    const body = []
+    let next = 0
+    for (let line = hunk.start; line <= hunk.end + 1; line++) {
+      while (next < hunk.insertions.length && hunk.insertions[next].line === line) {
+        for (const text of hunk.insertions[next++].lines) body.push('+' + text)
+      }
+      if (line <= hunk.end) body.push(' ' + source[line - 1])
+    }
+
+    const oldCount = hunk.end - hunk.start + 1
+    const newCount = body.length
+    const oldStart = oldCount ? hunk.start : hunk.start - 1
+    const newStart = hunk.start + added
+    out += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n${body.join('\n')}\n`
+    added += newCount - oldCount
+  }
+  return out
+}
+
+// Split into lines, remembering whether the file ended with a newline
+function splitLines(text) {
+  const lines = text.split('\n')
+  const trailingNewline = lines[lines.length - 1] === ''
+  if (trailingNewline) lines.pop()
+  return { lines, trailingNewline }
+}
+
+/**
+ * Export a snapshot's annotations into a document's TeX sources
+ * @param {{ store: Record<string, object> }} snapshot
+ * @param {{ docName?: string, format?: 'comment' | 'todo', includeResolved?: boolean, outDir?: string }} options
+ *   Without outDir, returns a unified diff; with it, copies the TeX tree there and edits the copy
+ * @returns {Promise<{ docName: string, diff: string, files: string[], exported: number, skipped: object[], asComments: object[] }>}
+ */
+export async function exportReview(snapshot, { docName, format = 'comment', includeResolved = false, outDir } = {}) {
+  const resolved = await resolveAnnotations(snapshot, docName)
+  const doc = getDocument(resolveDocName(resolved.docName))
+  if (!doc.dir) throw new Error(`No TeX sources registered for ${doc.id}`)
+
+  const annotations = sortByDocumentOrder(resolved.annotations)
+    .filter(ann => includeResolved || ann.status === 'open')
+
+  // Only edit files inside the document's tree
+  const sources = new Map()
+  const readLines = (file) => {
+    if (relative(doc.dir, file).startsWith('..') || !existsSync(file)) return null
+    if (!sources.has(file)) sources.set(file, splitLines(readFileSync(file, 'utf8')))
+    return sources.get(file).lines
+  }
+
+  const { files, skipped, asComments } = reviewInsertions(annotations, doc.dir, { format, readLines })
+
+  if (outDir) {
+    if (!relative(doc.dir, outDir).startsWith('..')) {
+      throw new Error(`Output directory must be outside the TeX tree (${doc.dir})`)
+    }
+    cpSync(doc.dir, outDir, { recursive: true })
+  }
+
+  let diff = ''
+  for (const [file, insertions] of files) {
+    const name = relative(doc.dir, file)
+    const { lines, trailingNewline } = sources.get(file)
+    diff += insertionDiff(name, lines, insertions)
+    if (outDir) {
+      const edited = applyInsertions(lines, insertions).join('\n') + (trailingNewline ? '\n' : '')
+      writeFileSync(join(outDir, name), edited)
+    }
+  }
+
+  return {
+    docName: doc.id,
+    diff,
+    files: [...files.keys()].map(file => relative(doc.dir, file)),
+    exported: annotations.length - skipped.length,
+    skipped,
+    asComments,
+  }
+}
+
+// CLI usage
+if (process.argv[1]?.endsWith('export-review.js')) {
+  const args = process.argv.slice(2)
+  const option = (name) => {
+    const i = args.indexOf(name)
+    return i === -1 ? undefined : args[i + 1]
+  }
+
+  const format = option('--format') || 'comment'
+  if (!['comment', 'todo'].includes(format)) {
+    console.error('--format must be "comment" or "todo"')
+    process.exit(1)
+  }
+
+  const room = option('--room')
+  const snapshotPath = option('--snapshot') || DEFAULT_SNAPSHOT
+  if (!room && !existsSync(snapshotPath)) {
+    console.error(`Snapshot not found: ${snapshotPath}`)
+    process.exit(1)
+  }
+
+  const outDir = option('--write')
+  let result
+  try {
+    const snapshot = room ? await getRoomSnapshot(room) : JSON.parse(readFileSync(snapshotPath, 'utf8'))
+    result = await exportReview(snapshot, {
+      docName: option('--doc'),
+      format,
+      includeResolved: args.includes('--all'),
+      outDir: outDir && resolve(outDir),
+    })
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+
+  if (outDir) {
+    console.error(`Wrote ${result.exported} annotation(s) into ${result.files.length} file(s) under ${outDir}`)
+  } else {
+    process.stdout.write(result.diff)
+  }
+  if (result.skipped.length) {
+    console.error(`Skipped ${result.skipped.length} annotation(s) with no source location: ${result.skipped.map(a => a.id).join(', ')}`)
+  }
+  if (result.asComments.length) {
+    console.error(`Exported ${result.asComments.length} annotation(s) as % REVIEW: comments, their math can't go in a \\todo{}: ${result.asComments.map(a => a.id).join(', ')}`)
+  }
+  if (format === 'todo' && result.exported && !/todonotes/.test(readFileSync(getDocument(result.docName).texPath, 'utf8'))) {
+    console.error('Note: \\todo needs \\usepackage{todonotes} in the preamble')
+  }
+}
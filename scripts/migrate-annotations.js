@@ -1,15 +1,16 @@
 #!/usr/bin/env node
 // Migrate annotations after document rebuild
 // Uses synctex anchors to reposition annotations to their new locations
+// The room is read and updated through the running sync server (room-api.js),
+// so connected reviewers see the annotations move
 //
 // Usage: node scripts/migrate-annotations.js <room-id> <doc-name>
 
-import { readFileSync, writeFileSync, existsSync } from 'fs'
-import { join, dirname } from 'path'
-import { fileURLToPath } from 'url'
-import * as Y from 'yjs'
+import { resolveDocName } from './doc-registry.js'
+import { loadGeometry } from './page-geometry.js'
+import { SYNC_SERVER, getRoomRecords, patchRoomRecords } from './room-api.js'
+import { pdfToCanvas } from '../src/pageGeometry.js'
 
-const __dirname = dirname(fileURLToPath(import.meta.url))
 const SYNCTEX_SERVER = process.env.SYNCTEX_SERVER || 'http://localhost:5177'
 
 const roomId = process.argv[2]
@@ -21,103 +22,48 @@ if (!roomId || !docName) {
   console.log('Example:')
   console.log('  node scripts/migrate-annotations.js review-session bregman')
   console.log('')
-  console.log('Make sure the synctex server is running:')
+  console.log('Make sure the sync and synctex servers are running:')
+  console.log('  node server/sync-server.js')
   console.log('  node server/synctex-server.js bregman:/path/to/bregman.tex')
+  console.log('')
+  console.log('Set SYNC_SERVER for another sync server, and ROOM_TOKEN if it requires tokens')
   process.exit(1)
 }
 
-// Load Yjs document
-const dataFile = join(__dirname, '..', 'server', 'data', `${roomId}.yjs`)
-if (!existsSync(dataFile)) {
-  console.error(`Room data not found: ${dataFile}`)
+// The document must be registered (see doc-registry.js)
+try {
+  resolveDocName(docName)
+} catch (e) {
+  console.error(e.message)
   process.exit(1)
 }
 
-const doc = new Y.Doc()
-const data = readFileSync(dataFile)
-Y.applyUpdate(doc, new Uint8Array(data))
-
-const yRecords = doc.getMap('tldraw')
-console.log(`Loaded ${yRecords.size} records from ${roomId}`)
+// Page geometry shared with the client (see src/pageGeometry.js)
+const pages = loadGeometry(docName)
 
-// Load manifest to get page info
-const manifestFile = join(__dirname, '..', 'public', 'docs', 'manifest.json')
-const manifest = JSON.parse(readFileSync(manifestFile, 'utf8'))
-const docConfig = manifest.documents[docName]
-
-if (!docConfig) {
-  console.error(`Document not found in manifest: ${docName}`)
-  process.exit(1)
-}
-
-// Load page info (we need this for coordinate conversion)
-// For now, assume standard dimensions - in practice you'd parse the SVGs
-const PAGE_WIDTH = 612   // PDF points (letter size)
-const PAGE_HEIGHT = 792
-const CANVAS_WIDTH = 800 // Display width
-const PAGE_SPACING = 32
-
-function buildPageInfo(pageCount) {
-  const pages = []
-  let top = 0
-  for (let i = 0; i < pageCount; i++) {
-    const scale = CANVAS_WIDTH / PAGE_WIDTH
-    const height = PAGE_HEIGHT * scale
-    pages.push({
-      bounds: { x: 0, y: top, width: CANVAS_WIDTH, height },
-      width: PAGE_WIDTH,
-      height: PAGE_HEIGHT
-    })
-    top += height + PAGE_SPACING
-  }
-  return pages
-}
-
-const pages = buildPageInfo(docConfig.pages)
-
-// Convert canvas to PDF coordinates
-function canvasToPdf(x, y) {
-  for (let i = 0; i < pages.length; i++) {
-    const page = pages[i]
-    if (y >= page.bounds.y && y < page.bounds.y + page.bounds.height) {
-      const scale = page.width / CANVAS_WIDTH
-      return {
-        page: i + 1,
-        x: (x - page.bounds.x) * scale,
-        y: (y - page.bounds.y) * scale
-      }
-    }
-  }
-  return null
-}
-
-// Convert PDF to canvas coordinates
-function pdfToCanvas(pdfPage, pdfX, pdfY) {
-  const pageIndex = pdfPage - 1
-  if (pageIndex < 0 || pageIndex >= pages.length) return null
-
-  const page = pages[pageIndex]
-  const scale = CANVAS_WIDTH / page.width
-  return {
-    x: page.bounds.x + pdfX * scale,
-    y: page.bounds.y + pdfY * scale
-  }
-}
-
-// Resolve source anchor to new position
-async function resolveAnchor(anchor) {
+// Resolve all source anchors to new positions in one batch request
+async function resolveAnchors(anchors) {
   try {
-    const url = `${SYNCTEX_SERVER}/view?doc=${docName}&file=${anchor.file}&line=${anchor.line}&column=${anchor.column || 0}`
-    const resp = await fetch(url)
+    const resp = await fetch(`${SYNCTEX_SERVER}/view/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        doc: docName,
+        lines: anchors.map(a => ({ file: a.file, line: a.line })),
+      }),
+    })
     const data = await resp.json()
-    if (data.error) {
-      console.warn(`  Warning: Could not resolve ${anchor.file}:${anchor.line}`)
-      return null
-    }
-    return { page: data.page, x: data.x, y: data.y }
+    if (data.error) throw new Error(data.error)
+    return data.results.map((result, i) => {
+      if (result.error) {
+        console.warn(`  Warning: Could not resolve ${anchors[i].file}:${anchors[i].line}`)
+        return null
+      }
+      return { page: result.page, x: result.x, y: result.y }
+    })
   } catch (e) {
     console.warn(`  Warning: Synctex server error:`, e.message)
-    return null
+    return anchors.map(() => null)
   }
 }
 
@@ -126,16 +72,24 @@ async function migrate() {
   let skipped = 0
   let failed = 0
 
+  const shapes = await getRoomRecords(roomId, { typeName: 'shape' })
+  console.log(`Loaded ${shapes.length} shapes from ${roomId} on ${SYNC_SERVER}`)
+
   // Find all shapes with source anchors
-  for (const [id, record] of yRecords) {
-    if (record.typeName !== 'shape') continue
-    if (!record.meta?.sourceAnchor) continue
+  const anchored = shapes
+    .filter(record => record.meta?.sourceAnchor)
+    .map(record => [record.id, record])
+  const moves = []
+
+  // Resolve anchors to new PDF positions
+  const positions = await resolveAnchors(anchored.map(([, record]) => record.meta.sourceAnchor))
 
+  for (let i = 0; i < anchored.length; i++) {
+    const [id, record] = anchored[i]
     const anchor = record.meta.sourceAnchor
     console.log(`\nShape ${id}: anchored to ${anchor.file}:${anchor.line}`)
 
-    // Resolve anchor to new PDF position
-    const newPdfPos = await resolveAnchor(anchor)
+    const newPdfPos = positions[i]
     if (!newPdfPos) {
       failed++
       continue
@@ -144,7 +98,7 @@ async function migrate() {
     console.log(`  New PDF position: page ${newPdfPos.page}, (${newPdfPos.x.toFixed(1)}, ${newPdfPos.y.toFixed(1)})`)
 
     // Convert to canvas coordinates
-    const newCanvasPos = pdfToCanvas(newPdfPos.page, newPdfPos.x, newPdfPos.y)
+    const newCanvasPos = pdfToCanvas(pages, newPdfPos.page, newPdfPos.x, newPdfPos.y)
     if (!newCanvasPos) {
       console.warn(`  Warning: Could not convert to canvas coords`)
       failed++
@@ -170,15 +124,13 @@ async function migrate() {
 
     console.log(`  Moving: (${oldX.toFixed(0)}, ${oldY.toFixed(0)}) → (${newX.toFixed(0)}, ${newY.toFixed(0)}) [${distance.toFixed(0)}px]`)
 
-    // Update the record
-    yRecords.set(id, { ...record, x: newX, y: newY })
+    moves.push({ id, x: newX, y: newY })
     migrated++
   }
 
-  // Save updated document
-  if (migrated > 0) {
-    const state = Y.encodeStateAsUpdate(doc)
-    writeFileSync(dataFile, Buffer.from(state))
+  // Move them all in one update
+  if (moves.length > 0) {
+    await patchRoomRecords(roomId, moves)
     console.log(`\nSaved ${migrated} migrated annotations`)
   }
 
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// Document outline (table of contents) for LaTeX builds
+// Reads the .toc (or the toc entries in the .aux) next to the tex file, then
+// places each heading on its page with a synctex lookup of its \section line,
+// and records the result in public/docs/manifest.json for the viewer.
+//
+// Usage: node scripts/outline.js <doc-name>
+
+import { readFileSync, existsSync, readdirSync } from 'fs'
+import { join, extname } from 'path'
+import { getDocument, loadManifest, saveManifest } from './doc-registry.js'
+import { sourceToPdf } from './synctex.js'
+
+const LEVELS = { part: -1, chapter: 0, section: 1, subsection: 2, subsubsection: 3, paragraph: 4, subparagraph: 5 }
+
+// Brace-balanced argument starting at text[i] === '{'; returns [content, index after it]
+function readGroup(text, i) {
+  let depth = 0
+  for (let j = i; j < text.length; j++) {
+    if (text[j] === '\\') {
+      j++
+      continue
+    }
+    if (text[j] === '{') depth++
+    if (text[j] === '}' && --depth === 0) return [text.slice(i + 1, j), j + 1]
+  }
+  return [text.slice(i + 1), text.length]
+}
+
+function readGroups(text, i, count) {
+  const groups = []
+  for (let n = 0; n < count; n++) {
+    while (i < text.length && /\s/.test(text[i])) i++
+    if (text[i] !== '{') break
+    const [group, next] = readGroup(text, i)
+    groups.push(group)
+    i = next
+  }
+  return groups
+}
+
+/**
+ * TeX in a heading title → plain text (math is kept as written)
+ * @param {string} tex
+ * @returns {string}
+ */
+export function plainTitle(tex) {
+  return tex
+    .replace(/\\(?:ignorespaces|protect|relax|nobreakspace)\b\s*/g, ' ')
+    .replace(/\\(?:emph|textbf|textit|textsc|texttt|textrm|mbox|hbox)\s*\{([^{}]*)\}/g, '$1')
+    .replace(/~/g, ' ')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Entries of a .toc file
+ * @param {string} text - \contentsline {section}{\numberline {1}Title}{3}{section.1}% lines
+ * @returns {Array<{ level: number, kind: string, number: string | null, title: string, page: number }>}
+ */
+export function parseToc(text) {
+  const entries = []
+  const pattern = /\\contentsline\s*/g
+  let match
+  while ((match = pattern.exec(text))) {
+    const [kind, heading, page] = readGroups(text, pattern.lastIndex, 3)
+    if (!(kind in LEVELS) || heading === undefined) continue
+
+    let number = null
+    let title = heading
+    const numberline = heading.match(/\\numberline\s*\{/)
+    if (numberline) {
+      const [num, next] = readGroup(heading, numberline.index + numberline[0].length - 1)
+      number = plainTitle(num)
+      title = heading.slice(0, numberline.index) + heading.slice(next)
+    }
+
+    entries.push({ level: LEVELS[kind], kind, number, title: plainTitle(title), page: parseInt(page, 10) || 1 })
+  }
+  return entries
+}
+
+/**
+ * Toc entries recorded in an .aux file (\@writefile{toc}{...})
+ * @param {string} text
+ */
+export function parseAuxToc(text) {
+  const parts = []
+  const pattern = /\\@writefile\{toc\}/g
+  let match
+  while ((match = pattern.exec(text))) {
+    const [content] = readGroups(text, pattern.lastIndex, 1)
+    if (content) parts.push(content)
+  }
+  return parseToc(parts.join('\n'))
+}
+
+// .tex files under a directory (not into hidden or build directories)
+function texFiles(dir, depth = 3) {
+  const files = []
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue
+    const path = join(dir, entry.name)
+    if (entry.isDirectory() && depth > 0) files.push(...texFiles(path, depth - 1))
+    else if (entry.isFile() && extname(entry.name) === '.tex') files.push(path)
+  }
+  return files
+}
+
+// Source line of each heading: the \section{...} (etc.) whose title matches, in order
+function headingLines(doc, entries) {
+  const headings = []
+  for (const file of texFiles(doc.dir)) {
+    const lines = readFileSync(file, 'utf8').split('\n')
+    lines.forEach((text, i) => {
+      const match = text.match(/^\s*\\(part|chapter|section|subsection|subsubsection|paragraph|subparagraph)\*?\s*(?:\[[^\]]*\])?\s*\{/)
+      if (!match) return
+      const [title] = readGroups(text, match[0].length - 1, 1)
+      headings.push({ file, line: i + 1, kind: match[1], title: plainTitle(title ?? '') })
+    })
+  }
+
+  // The toc respaces control words (\mathbb {R}), so compare without whitespace
+  const key = title => title.replace(/\s+/g, '')
+  const used = new Set()
+  return entries.map(entry => {
+    const heading = headings.find(h => !used.has(h) && h.kind === entry.kind && key(h.title) === key(entry.title))
+    if (heading) used.add(heading)
+    return heading ?? null
+  })
+}
+
+/**
+ * Outline of a registered LaTeX document
+ * @param {string} docName - Key in manifest.documents
+ * @returns {Array<{ level: number, number: string | null, title: string, page: number, y: number | null }>}
+ *   y is the heading's baseline on its page (PDF points, as in the SVG), when synctex knows it
+ */
+export function buildOutline(docName) {
+  const doc = getDocument(docName)
+  if (!doc) throw new Error(`Document not found in manifest: ${docName}`)
+  if (!doc.texPath) throw new Error(`No TeX source registered for ${docName}`)
+
+  const base = doc.texPath.replace(/\.tex$/, '')
+  let entries = []
+  if (existsSync(base + '.toc')) {
+    entries = parseToc(readFileSync(base + '.toc', 'utf8'))
+  } else if (existsSync(base + '.aux')) {
+    entries = parseAuxToc(readFileSync(base + '.aux', 'utf8'))
+  }
+  if (entries.length === 0) return []
+
+  const lines = doc.synctexPath && existsSync(doc.synctexPath) ? headingLines(doc, entries) : []
+  return entries.map((entry, i) => {
+    const heading = lines[i]
+    const position = heading ? sourceToPdf(doc.pdfPath, heading.file, heading.line) : null
+    // Trust the toc for the page; synctex only places the heading on it
+    const y = position && position.page === entry.page ? position.y : null
+    return { level: entry.level, number: entry.number, title: entry.title, page: entry.page, y }
+  })
+}
+
+// CLI usage: write the outline into the manifest
+if (process.argv[1].endsWith('outline.js')) {
+  const docName = process.argv[2]
+  if (!docName) {
+    console.error('Usage: node scripts/outline.js <doc-name>')
+    process.exit(1)
+  }
+
+  let outline
+  try {
+    outline = buildOutline(docName)
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+
+  const manifest = loadManifest()
+  manifest.documents[docName].outline = outline
+  saveManifest(manifest)
+  console.log(`Recorded outline for ${docName}: ${outline.length} entries (${outline.filter(e => e.y !== null).length} placed by synctex)`)
+}
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Page geometry for built SVG documents
+// Measures each page-NN.svg and records the layout in public/docs/manifest.json
+//
+// Usage: node scripts/page-geometry.js <doc-name>
+
+import { readFileSync, existsSync } from 'fs'
+import { join } from 'path'
+import { parseSvgViewBox, layoutPages } from '../src/pageGeometry.js'
+import { getDocument, loadManifest, saveManifest } from './doc-registry.js'
+
+function svgPagePath(svgDir, pageNum) {
+  return join(svgDir, `page-${String(pageNum).padStart(2, '0')}.svg`)
+}
+
+/**
+ * Measure the SVG pages in a directory and lay them out
+ * @param {string} svgDir - Directory containing page-01.svg, page-02.svg, ...
+ * @returns {import('../src/pageGeometry').PageGeometry[]}
+ */
+export function readSvgGeometry(svgDir) {
+  const sizes = []
+  for (let pageNum = 1; existsSync(svgPagePath(svgDir, pageNum)); pageNum++) {
+    sizes.push(parseSvgViewBox(readFileSync(svgPagePath(svgDir, pageNum), 'utf8')))
+  }
+  return layoutPages(sizes)
+}
+
+/**
+ * Page geometry for a document: from the manifest, else measured from its SVGs
+ * @param {string} docName - Key in manifest.documents
+ * @returns {import('../src/pageGeometry').PageGeometry[]}
+ */
+export function loadGeometry(docName) {
+  const doc = getDocument(docName)
+  if (!doc) throw new Error(`Document not found in manifest: ${docName}`)
+  return doc.geometry || readSvgGeometry(doc.svgDir)
+}
+
+// CLI usage: write geometry into the manifest
+if (process.argv[1].endsWith('page-geometry.js')) {
+  const docName = process.argv[2]
+  if (!docName) {
+    console.error('Usage: node scripts/page-geometry.js <doc-name>')
+    process.exit(1)
+  }
+
+  const doc = getDocument(docName)
+  if (!doc) {
+    console.error(`Document not found in manifest: ${docName}`)
+    process.exit(1)
+  }
+
+  const geometry = readSvgGeometry(doc.svgDir)
+  const manifest = loadManifest()
+  manifest.documents[docName].pages = geometry.length
+  manifest.documents[docName].geometry = geometry
+  saveManifest(manifest)
+  console.log(`Wrote geometry for ${geometry.length} pages of ${docName}`)
+}
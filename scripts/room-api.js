@@ -0,0 +1,73 @@
+// Client for the sync server's records API (see server/records.js)
+// Scripts change rooms through the running server rather than its data files,
+// so edits land in the live document and reach everyone in the room.
+//
+// Environment:
+//   SYNC_SERVER  - Sync server URL (default http://localhost:5176; ws:// works too)
+//   ROOM_TOKEN   - Room token, when the server requires them (see server/room-tokens.js)
+
+export const SYNC_SERVER = (process.env.SYNC_SERVER || 'http://localhost:5176').replace(/^ws(s?):/, 'http$1:')
+
+async function request(roomId, path, { method = 'GET', body, token = process.env.ROOM_TOKEN } = {}) {
+  const headers = {}
+  if (token) headers['Authorization'] = `Bearer ${token}`
+  if (body) headers['Content-Type'] = 'application/json'
+
+  const resp = await fetch(`${SYNC_SERVER}/rooms/${encodeURIComponent(roomId)}${path}`, {
+    method,
+    headers,
+    body: body && JSON.stringify(body),
+  })
+  const result = await resp.json().catch(() => ({}))
+  if (!resp.ok) throw new Error(result.error || `${method} ${path} failed (${resp.status})`)
+  return result
+}
+
+/**
+ * Records in a room
+ * @param {string} roomId
+ * @param {{ typeName?: string, type?: string, page?: string }} [filter] - See listRecords in server/records.js
+ * @returns {Promise<object[]>}
+ */
+export async function getRoomRecords(roomId, filter = {}) {
+  const query = new URLSearchParams(Object.entries(filter).filter(([, value]) => value)).toString()
+  const { records } = await request(roomId, `/records${query ? `?${query}` : ''}`)
+  return records
+}
+
+/**
+ * A room's records as a store snapshot, the shape scripts/annotations.js reads
+ * @param {string} roomId
+ * @returns {Promise<{ store: Record<string, object> }>}
+ */
+export async function getRoomSnapshot(roomId) {
+  const records = await getRoomRecords(roomId)
+  return { store: Object.fromEntries(records.map(record => [record.id, record])) }
+}
+
+/**
+ * Create or replace whole records
+ * @param {string} roomId
+ * @param {object[]} records
+ */
+export async function putRoomRecords(roomId, records) {
+  return (await request(roomId, '/records', { method: 'POST', body: { records } })).records
+}
+
+/**
+ * Merge changes into existing records; props and meta merge a level deeper
+ * @param {string} roomId
+ * @param {Array<{ id: string }>} changes
+ */
+export async function patchRoomRecords(roomId, changes) {
+  return (await request(roomId, '/records', { method: 'PATCH', body: { records: changes } })).records
+}
+
+/**
+ * @param {string} roomId
+ * @param {string[]} ids
+ * @returns {Promise<string[]>} The IDs that existed and were removed
+ */
+export async function deleteRoomRecords(roomId, ids) {
+  return (await request(roomId, '/records', { method: 'DELETE', body: { ids } })).deleted
+}
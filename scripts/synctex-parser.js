@@ -0,0 +1,319 @@
+// Pure-JavaScript SyncTeX reader
+// Parses .synctex(.gz) files directly so lookups don't need a TeX install
+// or a `synctex` CLI process per query.
+//
+// File format reference: synctex_parser.c in the TeX Live sources.
+// We only read the records needed for edit/view queries:
+//   {N / }N          page begin / end
+//   [ ( ] )          vbox / hbox begin and end
+//   v h              void vbox / void hbox
+//   k g $ x          kern, glue, math and current-position nodes
+
+import { readFileSync, statSync, existsSync } from 'fs'
+import { gunzipSync } from 'zlib'
+import { dirname, resolve, basename } from 'path'
+
+// Scaled points per big point (65536 sp/pt * 72.27 pt/in / 72 bp/in)
+const SP_PER_BP = 65781.76
+
+const BOX_TYPES = new Set(['[', '(', 'v', 'h'])
+const HBOX_TYPES = new Set(['(', 'h'])
+
+/**
+ * Find the synctex file that belongs to a PDF
+ * @param {string} pdfPath - Path to PDF file
+ * @returns {string | null} Path to .synctex.gz or .synctex, or null
+ */
+export function findSynctexFile(pdfPath) {
+  const base = pdfPath.replace(/\.pdf$/, '')
+  for (const candidate of [base + '.synctex.gz', base + '.synctex']) {
+    if (existsSync(candidate)) return candidate
+  }
+  return null
+}
+
+/**
+ * Parse synctex text into an in-memory index
+ * @param {string} text - Uncompressed synctex contents
+ * @param {string} [baseDir] - Directory used to resolve relative Input paths
+ * @returns {SynctexIndex}
+ */
+export function parseSynctex(text, baseDir = process.cwd()) {
+  const inputs = new Map()   // tag → absolute path
+  const pages = new Map()    // page → node[]
+  const byTag = new Map()    // tag → Map(line → node[])
+
+  let unit = 1
+  let magnification = 1000
+  let xOffset = 0
+  let yOffset = 0
+
+  let section = 'preamble'
+  let page = 0
+  let stack = []
+  let last = { tag: 0, line: 0, h: 0, v: 0 }
+
+  // Values may be written as '=' meaning "same as the previous record"
+  const int = (s, prev) => (s === '=' || s === '' || s === undefined) ? prev : parseInt(s, 10)
+
+  const lines = text.split('\n')
+  for (const raw of lines) {
+    const line = raw.replace(/\r$/, '')
+    if (!line) continue
+
+    if (line.startsWith('Input:')) {
+      const rest = line.slice(6)
+      const colon = rest.indexOf(':')
+      const tag = parseInt(rest.slice(0, colon), 10)
+      inputs.set(tag, resolve(baseDir, rest.slice(colon + 1)))
+      continue
+    }
+
+    if (section !== 'content') {
+      if (line === 'Content:') { section = 'content'; continue }
+      if (line.startsWith('Unit:')) unit = parseFloat(line.slice(5)) || 1
+      else if (line.startsWith('Magnification:')) magnification = parseFloat(line.slice(14)) || 1000
+      else if (line.startsWith('X Offset:')) xOffset = parseFloat(line.slice(9)) || 0
+      else if (line.startsWith('Y Offset:')) yOffset = parseFloat(line.slice(9)) || 0
+      continue
+    }
+
+    if (line === 'Postamble:') { section = 'postamble'; continue }
+
+    const type = line[0]
+
+    if (type === '{') {
+      page = parseInt(line.slice(1), 10)
+      if (!pages.has(page)) pages.set(page, [])
+      stack = []
+      continue
+    }
+    if (type === '}') {
+      page = 0
+      stack = []
+      continue
+    }
+    if (type === ']' || type === ')') {
+      stack.pop()
+      continue
+    }
+    if (!page || !'[(vhkg$x'.includes(type)) continue
+
+    // Record body: tag,line[,column]:h,v[:W,H,D]
+    const [link, pos, size] = line.slice(1).split(':')
+    if (pos === undefined) continue
+    const [tagStr, lineStr, colStr] = link.split(',')
+    const [hStr, vStr] = pos.split(',')
+    const [wStr, hgtStr, dStr] = size ? size.split(',') : []
+
+    const node = {
+      type,
+      page,
+      tag: int(tagStr, last.tag),
+      line: int(lineStr, last.line),
+      column: colStr !== undefined ? int(colStr, -1) : -1,
+      h: int(hStr, last.h),
+      v: int(vStr, last.v),
+      width: size ? int(wStr, 0) : 0,
+      height: size ? int(hgtStr, 0) : 0,
+      depth: size ? int(dStr, 0) : 0,
+      parent: stack[stack.length - 1] || null,
+      children: null,
+    }
+    last = node
+
+    if (node.parent) {
+      if (!node.parent.children) node.parent.children = []
+      node.parent.children.push(node)
+    }
+
+    pages.get(page).push(node)
+
+    let lineMap = byTag.get(node.tag)
+    if (!lineMap) byTag.set(node.tag, lineMap = new Map())
+    let list = lineMap.get(node.line)
+    if (!list) lineMap.set(node.line, list = [])
+    list.push(node)
+
+    if (type === '[' || type === '(') stack.push(node)
+  }
+
+  // Convert everything to big points from the top-left of the page
+  const scale = unit * (magnification / 1000) / SP_PER_BP
+  const dx = xOffset / SP_PER_BP
+  const dy = yOffset / SP_PER_BP
+  for (const nodes of pages.values()) {
+    for (const node of nodes) {
+      node.h = node.h * scale + dx
+      node.v = node.v * scale + dy
+      node.width *= scale
+      node.height *= scale
+      node.depth *= scale
+    }
+  }
+
+  return { inputs, pages, byTag }
+}
+
+// Parsed indexes, keyed by synctex path and invalidated on mtime change
+const indexCache = new Map()
+
+/**
+ * Load (and cache) the synctex index for a PDF or synctex file
+ * @param {string} path - Path to the PDF, .synctex or .synctex.gz file
+ * @returns {SynctexIndex | null}
+ */
+export function loadSynctex(path) {
+  const synctexPath = /\.synctex(\.gz)?$/.test(path) ? path : findSynctexFile(path)
+  if (!synctexPath || !existsSync(synctexPath)) return null
+
+  const mtime = statSync(synctexPath).mtimeMs
+  const cached = indexCache.get(synctexPath)
+  if (cached && cached.mtime === mtime) return cached.index
+
+  let data = readFileSync(synctexPath)
+  if (synctexPath.endsWith('.gz')) data = gunzipSync(data)
+
+  const index = parseSynctex(data.toString('utf8'), dirname(synctexPath))
+  indexCache.set(synctexPath, { mtime, index })
+  return index
+}
+
+// Bounding box of a node in page coordinates
+function nodeBox(node) {
+  if (BOX_TYPES.has(node.type)) {
+    const left = Math.min(node.h, node.h + node.width)
+    return {
+      left,
+      right: left + Math.abs(node.width),
+      top: node.v - node.height,
+      bottom: node.v + node.depth,
+    }
+  }
+  // Leaf nodes take their vertical extent from the enclosing box
+  const parent = node.parent
+  return {
+    left: node.h,
+    right: node.h + (node.type === 'k' ? node.width : 0),
+    top: parent ? parent.v - parent.height : node.v,
+    bottom: parent ? parent.v + parent.depth : node.v,
+  }
+}
+
+function distanceToBox(box, x, y) {
+  const dx = x < box.left ? box.left - x : x > box.right ? x - box.right : 0
+  const dy = y < box.top ? box.top - y : y > box.bottom ? y - box.bottom : 0
+  return Math.hypot(dx, dy)
+}
+
+/**
+ * Reverse lookup: PDF position → source location
+ * @param {SynctexIndex} index
+ * @param {number} page - 1-indexed page number
+ * @param {number} x - X in PDF points from the left edge
+ * @param {number} y - Y in PDF points from the top edge
+ * @returns {{ file: string, line: number, column: number } | null}
+ */
+export function synctexEdit(index, page, x, y) {
+  const nodes = index.pages.get(page)
+  if (!nodes || nodes.length === 0) return null
+
+  // Deepest (smallest) hbox containing the point, else the nearest one
+  let best = null
+  let bestArea = Infinity
+  let bestDistance = Infinity
+  for (const node of nodes) {
+    if (!HBOX_TYPES.has(node.type)) continue
+    const box = nodeBox(node)
+    const distance = distanceToBox(box, x, y)
+    const area = (box.right - box.left) * (box.bottom - box.top)
+    if (distance < bestDistance || (distance === bestDistance && area < bestArea)) {
+      best = node
+      bestDistance = distance
+      bestArea = area
+    }
+  }
+  if (!best) return null
+
+  // Within the box, prefer the closest child at or left of the point
+  let target = best
+  if (best.children) {
+    let closest = Infinity
+    for (const child of best.children) {
+      const d = child.h <= x ? x - child.h : (child.h - x) * 2
+      if (d < closest) {
+        closest = d
+        target = child
+      }
+    }
+  }
+
+  const file = index.inputs.get(target.tag)
+  if (!file || target.line <= 0) return null
+  return { file, line: target.line, column: target.column >= 0 ? target.column : 0 }
+}
+
+// Input tags whose path matches a (possibly relative) source file name
+function tagsForFile(index, file, baseDir) {
+  const full = resolve(baseDir, file)
+  const exact = []
+  const loose = []
+  for (const [tag, input] of index.inputs) {
+    if (input === full) exact.push(tag)
+    else if (input.endsWith('/' + file.replace(/^\.\//, '')) || basename(input) === basename(file)) loose.push(tag)
+  }
+  return exact.length > 0 ? exact : loose
+}
+
+/**
+ * Forward lookup: source location → PDF position
+ * @param {SynctexIndex} index
+ * @param {string} file - Source file (absolute, or relative to baseDir)
+ * @param {number} line - 1-indexed line number
+ * @param {string} [baseDir] - Directory relative file names resolve against
+ * @returns {{ page: number, x: number, y: number, h: number, v: number, width: number, height: number } | null}
+ */
+export function synctexView(index, file, line, baseDir = process.cwd()) {
+  const tags = tagsForFile(index, file, baseDir)
+  if (tags.length === 0) return null
+
+  // Exact line if it produced output, otherwise the nearest line that did
+  let matches = null
+  let bestGap = Infinity
+  for (const tag of tags) {
+    const lineMap = index.byTag.get(tag)
+    if (!lineMap) continue
+    for (const [recordLine, nodes] of lineMap) {
+      const gap = recordLine >= line ? recordLine - line : (line - recordLine) * 2 - 1
+      if (gap < bestGap) {
+        bestGap = gap
+        matches = nodes
+      }
+    }
+  }
+  if (!matches || matches.length === 0) return null
+
+  const page = Math.min(...matches.map(n => n.page))
+  // vboxes span whole paragraphs or pages, so prefer anything finer
+  const onPage = matches.filter(n => n.page === page)
+  const first = onPage.find(n => n.type !== '[' && n.type !== 'v') || onPage[0]
+  const container = HBOX_TYPES.has(first.type) || !first.parent ? first : first.parent
+  const box = nodeBox(container)
+
+  return {
+    page,
+    x: first.h,
+    y: first.v,
+    h: box.left,
+    v: box.top,
+    width: box.right - box.left,
+    height: box.bottom - box.top,
+  }
+}
+
+/**
+ * @typedef {object} SynctexIndex
+ * @property {Map<number, string>} inputs - Input tag → absolute source path
+ * @property {Map<number, object[]>} pages - Page number → nodes in file order
+ * @property {Map<number, Map<number, object[]>>} byTag - Input tag → line → nodes
+ */
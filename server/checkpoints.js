@@ -0,0 +1,157 @@
+// Room checkpoints for the sync server
+// A checkpoint is the room's full Yjs state at one moment, kept next to the
+// live file as <data>/checkpoints/<room>/<id>.yjs and listed in index.json.
+// Automatic checkpoints are pruned to the most recent few; named ones stay.
+
+import * as Y from 'yjs'
+import { readFileSync, existsSync, mkdirSync, unlinkSync } from 'fs'
+import { join } from 'path'
+import { writeAtomic } from './storage.js'
+
+const MAX_AUTO_CHECKPOINTS = 48
+
+// The Y.Map holding tldraw records (see src/useYjsSync.ts)
+const RECORDS_MAP = 'tldraw'
+
+/**
+ * Checkpoints of one room
+ * @param {string} dataDir - The sync server's persistence directory
+ * @param {string} room - Validated room name
+ */
+export function checkpointStore(dataDir, room) {
+  const dir = join(dataDir, 'checkpoints', room)
+  const indexPath = join(dir, 'index.json')
+
+  function readIndex() {
+    if (!existsSync(indexPath)) return []
+    try {
+      return JSON.parse(readFileSync(indexPath, 'utf8'))
+    } catch (e) {
+      console.error(`Checkpoint index for ${room} is unreadable:`, e.message)
+      return []
+    }
+  }
+
+  function writeIndex(index) {
+    writeAtomic(indexPath, JSON.stringify(index, null, 2))
+  }
+
+  return {
+    /**
+     * @returns {Array<{ id: string, name: string | null, auto: boolean, createdAt: string, records: number }>}
+     *   Newest first
+     */
+    list() {
+      return readIndex().slice().reverse()
+    },
+
+    /**
+     * Save the document's current state
+     * @param {Y.Doc} doc
+     * @param {{ name?: string | null, auto?: boolean }} options
+     */
+    create(doc, { name = null, auto = false } = {}) {
+      mkdirSync(dir, { recursive: true })
+      const index = readIndex()
+      const now = new Date()
+      // Millisecond timestamps, bumped if two land in the same millisecond
+      let id = String(now.getTime())
+      while (index.some(c => c.id === id)) id = String(Number(id) + 1)
+
+      // The file before the index entry, so the index never lists a checkpoint
+      // that isn't there
+      writeAtomic(join(dir, `${id}.yjs`), Y.encodeStateAsUpdate(doc))
+      const checkpoint = {
+        id,
+        name: name || null,
+        auto,
+        createdAt: now.toISOString(),
+        records: doc.getMap(RECORDS_MAP).size,
+      }
+      index.push(checkpoint)
+
+      // Drop the oldest automatic checkpoints beyond the limit
+      const autos = index.filter(c => c.auto)
+      const expired = new Set(autos.slice(0, Math.max(0, autos.length - MAX_AUTO_CHECKPOINTS)).map(c => c.id))
+      for (const old of expired) {
+        try {
+          unlinkSync(join(dir, `${old}.yjs`))
+        } catch (e) {
+          console.error(`Failed to remove checkpoint ${old} of ${room}:`, e.message)
+        }
+      }
+      writeIndex(index.filter(c => !expired.has(c.id)))
+      return checkpoint
+    },
+
+    /**
+     * Records (id → record) as of a checkpoint
+     * @param {string} id
+     * @returns {Record<string, object> | null} null if there is no such checkpoint
+     *   (throws if its file is unreadable)
+     */
+    records(id) {
+      if (!readIndex().some(c => c.id === id)) return null
+      if (!existsSync(join(dir, `${id}.yjs`))) {
+        console.error(`Checkpoint ${id} of ${room} is listed but its file is missing`)
+        return null
+      }
+      const doc = new Y.Doc()
+      Y.applyUpdate(doc, new Uint8Array(readFileSync(join(dir, `${id}.yjs`))))
+      const records = doc.getMap(RECORDS_MAP).toJSON()
+      doc.destroy()
+      return records
+    },
+  }
+}
+
+/**
+ * Records currently in a live document
+ * @param {Y.Doc} doc
+ */
+export function currentRecords(doc) {
+  return doc.getMap(RECORDS_MAP).toJSON()
+}
+
+function summary(record) {
+  return { id: record.id, typeName: record.typeName, type: record.type }
+}
+
+/**
+ * What changed between two sets of records
+ * @param {Record<string, object>} from
+ * @param {Record<string, object>} to
+ * @returns {{ added: object[], removed: object[], changed: object[] }} Summaries ({ id, typeName, type })
+ */
+export function diffRecords(from, to) {
+  const added = []
+  const removed = []
+  const changed = []
+  for (const [id, record] of Object.entries(to)) {
+    if (!(id in from)) added.push(summary(record))
+    else if (JSON.stringify(from[id]) !== JSON.stringify(record)) changed.push(summary(record))
+  }
+  for (const [id, record] of Object.entries(from)) {
+    if (!(id in to)) removed.push(summary(record))
+  }
+  return { added, removed, changed }
+}
+
+/**
+ * Make a live document's records match a checkpoint's, as one ordinary update
+ * (so connected clients converge on it like on any other edit)
+ * @param {Y.Doc} doc
+ * @param {Record<string, object>} records - From checkpointStore().records()
+ * @param {unknown} origin - Transaction origin
+ */
+export function restoreRecords(doc, records, origin) {
+  const map = doc.getMap(RECORDS_MAP)
+  doc.transact(() => {
+    for (const id of [...map.keys()]) {
+      if (!(id in records)) map.delete(id)
+    }
+    for (const [id, record] of Object.entries(records)) {
+      if (JSON.stringify(map.get(id)) !== JSON.stringify(record)) map.set(id, record)
+    }
+  }, origin)
+}
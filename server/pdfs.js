@@ -0,0 +1,77 @@
+// PDFs behind PDF rooms
+// Files are stored once per content hash as <data>/pdfs/<sha256>.pdf, and which
+// one a room annotates as <data>/pdfs/rooms/<room>.json, so everyone who joins
+// opens the same file. That link is the server's own record, set only by
+// uploads: the Yjs document is anyone's to edit, so it can't say which PDFs a
+// room's members may download.
+
+import { createHash } from 'crypto'
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs'
+import { join } from 'path'
+import { writeAtomic } from './storage.js'
+
+export const MAX_PDF_SIZE = 100 * 1024 * 1024
+
+const HASH = /^[0-9a-f]{64}$/
+
+/**
+ * @param {Buffer} data
+ * @returns {string} SHA-256, hex (the client derives page IDs from the same hash)
+ */
+export function pdfHash(data) {
+  return createHash('sha256').update(data).digest('hex')
+}
+
+/**
+ * @param {string} dataDir - The sync server's persistence directory
+ */
+export function pdfStore(dataDir) {
+  const dir = join(dataDir, 'pdfs')
+  const roomsDir = join(dir, 'rooms')
+  const pathFor = hash => join(dir, `${hash}.pdf`)
+  const roomPath = room => join(roomsDir, `${room}.json`)
+
+  return {
+    /**
+     * Store a PDF (once per content)
+     * @param {string} hash - From pdfHash
+     * @param {Buffer} data
+     */
+    save(hash, data) {
+      if (!existsSync(pathFor(hash))) {
+        mkdirSync(dir, { recursive: true })
+        writeFileSync(`${pathFor(hash)}.tmp`, data)
+        renameSync(`${pathFor(hash)}.tmp`, pathFor(hash))
+      }
+    },
+
+    /**
+     * @param {string} hash
+     * @returns {Buffer | null}
+     */
+    read(hash) {
+      if (!HASH.test(hash) || !existsSync(pathFor(hash))) return null
+      return readFileSync(pathFor(hash))
+    },
+
+    /**
+     * The PDF a room annotates
+     * @param {string} room - Validated room name
+     * @returns {{ hash: string, name: string, size: number } | null}
+     */
+    roomPdf(room) {
+      if (!existsSync(roomPath(room))) return null
+      return JSON.parse(readFileSync(roomPath(room), 'utf8'))
+    },
+
+    /**
+     * Record the PDF a room annotates
+     * @param {string} room - Validated room name
+     * @param {{ hash: string, name: string, size: number }} pdf
+     */
+    setRoomPdf(room, pdf) {
+      mkdirSync(roomsDir, { recursive: true })
+      writeAtomic(roomPath(room), JSON.stringify(pdf))
+    },
+  }
+}
@@ -0,0 +1,122 @@
+// Room records over HTTP
+// Reads and writes tldraw records in a live room's Y.Doc, so scripts and the
+// MCP server change the room the same way a connected client would: through
+// the server's copy, which relays every change to everyone in the room.
+
+const RECORDS_MAP = 'tldraw'
+
+// Records carry their type in the ID prefix ("shape:abc"); refuse mismatches
+// so a typo can't put something clients fail to load into the room
+function recordError(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return 'Record must be an object'
+  if (typeof record.id !== 'string' || typeof record.typeName !== 'string') return 'Record needs a string id and typeName'
+  if (!record.id.startsWith(`${record.typeName}:`)) return `Record ${record.id} should start with "${record.typeName}:"`
+  return null
+}
+
+// tldraw page a shape sits on, following parent shapes (frames, groups)
+function pageOf(map, record) {
+  let parentId = record.parentId
+  for (let depth = 0; typeof parentId === 'string' && parentId.startsWith('shape:') && depth < 100; depth++) {
+    parentId = map.get(parentId)?.parentId
+  }
+  return parentId
+}
+
+/**
+ * Records in a room, optionally filtered
+ * @param {import('yjs').Doc} doc
+ * @param {{ typeName?: string | null, type?: string | null, page?: string | null }} filter
+ *   typeName ('shape', 'binding', ...), shape or binding type ('math-note', ...),
+ *   and tldraw page ID ('page:...') for shapes
+ * @returns {object[]}
+ */
+export function listRecords(doc, { typeName, type, page } = {}) {
+  const map = doc.getMap(RECORDS_MAP)
+  const records = []
+  for (const record of map.values()) {
+    if (typeName && record.typeName !== typeName) continue
+    if (type && record.type !== type) continue
+    if (page && pageOf(map, record) !== page) continue
+    records.push(record)
+  }
+  return records
+}
+
+/**
+ * @param {import('yjs').Doc} doc
+ * @param {string} id
+ * @returns {object | null}
+ */
+export function getRecord(doc, id) {
+  return doc.getMap(RECORDS_MAP).get(id) ?? null
+}
+
+/**
+ * Create or replace whole records, in one transaction
+ * @param {import('yjs').Doc} doc
+ * @param {object[]} records
+ * @param {unknown} origin - Transaction origin
+ * @throws If any record is malformed (nothing is written then)
+ */
+export function putRecords(doc, records, origin) {
+  if (!Array.isArray(records)) throw new Error('Expected an array of records')
+  for (const record of records) {
+    const error = recordError(record)
+    if (error) throw new Error(error)
+  }
+
+  const map = doc.getMap(RECORDS_MAP)
+  doc.transact(() => {
+    for (const record of records) map.set(record.id, record)
+  }, origin)
+  return records
+}
+
+/**
+ * Merge changes into existing records, in one transaction
+ * Top-level fields are replaced; props and meta are merged a level deeper, so
+ * { id, meta: { status } } keeps the rest of the record's meta
+ * @param {import('yjs').Doc} doc
+ * @param {Array<{ id: string }>} changes
+ * @param {unknown} origin - Transaction origin
+ * @returns {object[]} The updated records
+ * @throws If a record doesn't exist (nothing is written then)
+ */
+export function patchRecords(doc, changes, origin) {
+  if (!Array.isArray(changes)) throw new Error('Expected an array of changes')
+  const map = doc.getMap(RECORDS_MAP)
+
+  const updated = changes.map(change => {
+    const current = map.get(change?.id)
+    if (!current) throw new Error(`No record ${change?.id}`)
+    const { id, typeName, ...fields } = change
+    if (typeName !== undefined && typeName !== current.typeName) throw new Error(`Cannot change the typeName of ${id}`)
+    const record = { ...current, ...fields }
+    if (fields.props) record.props = { ...current.props, ...fields.props }
+    if (fields.meta) record.meta = { ...current.meta, ...fields.meta }
+    return record
+  })
+
+  doc.transact(() => {
+    for (const record of updated) map.set(record.id, record)
+  }, origin)
+  return updated
+}
+
+/**
+ * Remove records, in one transaction; IDs that don't exist are skipped
+ * @param {import('yjs').Doc} doc
+ * @param {string[]} ids
+ * @param {unknown} origin - Transaction origin
+ * @returns {string[]} The IDs that were removed
+ */
+export function deleteRecords(doc, ids, origin) {
+  if (!Array.isArray(ids)) throw new Error('Expected an array of record IDs')
+  const map = doc.getMap(RECORDS_MAP)
+  const present = ids.filter(id => map.has(id))
+  doc.transact(() => {
+    for (const id of present) map.delete(id)
+  }, origin)
+  return present
+}
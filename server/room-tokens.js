@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// Signed room tokens for the sync server
+// A token is base64url(JSON payload) + '.' + base64url(HMAC-SHA256 of it),
+// keyed by ROOM_TOKEN_SECRET. The payload names one room and a role:
+//   owner     - edits, and can mint share tokens for the room
+//   commenter - edits (adds and replies to annotations)
+//   viewer    - read-only; the server drops anything they send but presence
+//
+// Usage: ROOM_TOKEN_SECRET=... node server/room-tokens.js <room> <role> [days]
+
+import { createHmac, timingSafeEqual } from 'crypto'
+
+export const ROLES = ['owner', 'commenter', 'viewer']
+
+// Room names become filenames, so nothing that could leave the data directory
+const ROOM_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/
+
+/**
+ * @param {unknown} name
+ * @returns {boolean} Whether the name is safe to use as a room (and filename)
+ */
+export function isValidRoomName(name) {
+  return typeof name === 'string' && ROOM_NAME.test(name)
+}
+
+function secret() {
+  return process.env.ROOM_TOKEN_SECRET || null
+}
+
+/**
+ * Whether tokens are enforced; without a secret every connection is an owner
+ * (local development)
+ */
+export function tokensRequired() {
+  return secret() !== null
+}
+
+function sign(data) {
+  return createHmac('sha256', secret()).update(data).digest('base64url')
+}
+
+/**
+ * @param {{ room: string, role: string, expiresInDays?: number }} options - Without expiresInDays, the token never expires
+ * @returns {string}
+ */
+export function signRoomToken({ room, role, expiresInDays }) {
+  if (!secret()) throw new Error('ROOM_TOKEN_SECRET is not set')
+  if (!isValidRoomName(room)) throw new Error(`Invalid room name: ${room}`)
+  if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role} (expected ${ROLES.join(', ')})`)
+  // Anything else would sign exp: NaN (which never expires) or an expired token
+  if (expiresInDays != null && !(typeof expiresInDays === 'number' && Number.isFinite(expiresInDays) && expiresInDays > 0)) {
+    throw new Error(`expiresInDays must be a positive number of days, got ${expiresInDays}`)
+  }
+
+  const payload = { room, role }
+  if (expiresInDays != null) payload.exp = Math.floor(Date.now() / 1000) + Math.round(expiresInDays * 86400)
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url')
+  return `${data}.${sign(data)}`
+}
+
+/**
+ * Role a token grants in a room
+ * @param {string | null | undefined} token
+ * @param {string} room
+ * @returns {{ role: string } | { error: string }}
+ */
+export function verifyRoomToken(token, room) {
+  if (!tokensRequired()) return { role: 'owner' }
+  if (!token) return { error: 'Missing room token' }
+
+  const [data, signature] = token.split('.')
+  if (!data || !signature) return { error: 'Malformed room token' }
+
+  const expected = Buffer.from(sign(data))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { error: 'Invalid room token' }
+  }
+
+  let payload
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'))
+  } catch {
+    return { error: 'Malformed room token' }
+  }
+  if (payload.room !== room) return { error: 'Token is for another room' }
+  if (!ROLES.includes(payload.role)) return { error: 'Unknown role' }
+  if (payload.exp && payload.exp < Date.now() / 1000) return { error: 'Room token expired' }
+  return { role: payload.role }
+}
+
+/**
+ * @param {string} role
+ * @returns {boolean} Whether the role may change the room's document
+ */
+export function canEdit(role) {
+  return role === 'owner' || role === 'commenter'
+}
+
+// CLI usage: mint a token
+if (process.argv[1].endsWith('room-tokens.js')) {
+  const [,, room, role, days] = process.argv
+  if (!room || !role) {
+    console.error('Usage: ROOM_TOKEN_SECRET=... node server/room-tokens.js <room> <role> [days]')
+    console.error(`Roles: ${ROLES.join(', ')}`)
+    process.exit(1)
+  }
+
+  try {
+    console.log(signRoomToken({ room, role, expiresInDays: days ? parseFloat(days) : undefined }))
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Move rooms between storage backends (see storage.js)
+// Stop the sync server first: it holds loaded rooms in memory and would write
+// over an import when it next compacts them.
+//
+// Usage:
+//   node server/rooms-cli.js list   [--storage file|sqlite]
+//   node server/rooms-cli.js export <dir> [--storage file|sqlite] [room...]   # Write <dir>/<room>.yjs
+//   node server/rooms-cli.js import <dir> [--storage file|sqlite] [room...]   # Read <dir>/<room>.yjs
+//   node server/rooms-cli.js copy --from file --to sqlite [room...]
+// --storage defaults to $STORAGE or file; rooms default to all of them.
+// Data lives in $DATA_DIR (default server/data) as for the server.
+// Only room states move: checkpoints and room PDFs stay where they are in it.
+
+import { readFileSync, writeFileSync, readdirSync, mkdirSync } from 'fs'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { createStorage } from './storage.js'
+import { isValidRoomName } from './room-tokens.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const PERSISTENCE_DIR = process.env.DATA_DIR || join(__dirname, 'data')
+
+const USAGE = `Usage:
+  node server/rooms-cli.js list   [--storage file|sqlite]
+  node server/rooms-cli.js export <dir> [--storage file|sqlite] [room...]
+  node server/rooms-cli.js import <dir> [--storage file|sqlite] [room...]
+  node server/rooms-cli.js copy --from file --to sqlite [room...]`
+
+// Options and positional arguments from the command line
+function parseArgs(args) {
+  const options = {}
+  const positional = []
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) options[args[i].slice(2)] = args[++i]
+    else positional.push(args[i])
+  }
+  return { options, positional }
+}
+
+/**
+ * Copy rooms' full state from one storage to another
+ * @returns {number} Rooms copied
+ */
+function copyRooms(from, to, rooms) {
+  let copied = 0
+  for (const room of rooms) {
+    const state = from.load(room)?.state
+    if (!state) {
+      console.warn(`No room ${room}, skipped`)
+      continue
+    }
+    to.compact(room, state)
+    console.log(`${room} (${state.length} bytes)`)
+    copied++
+  }
+  return copied
+}
+
+// A directory of <room>.yjs files, as a read/write storage for copyRooms
+function directoryRooms(dir) {
+  return {
+    load: room => {
+      try {
+        return { state: new Uint8Array(readFileSync(join(dir, `${room}.yjs`))), updates: 0 }
+      } catch {
+        return null
+      }
+    },
+    compact: (room, state) => writeFileSync(join(dir, `${room}.yjs`), state),
+    list: () => readdirSync(dir).filter(name => name.endsWith('.yjs')).map(name => name.slice(0, -'.yjs'.length)),
+  }
+}
+
+const [command, ...rest] = process.argv.slice(2)
+const { options, positional } = parseArgs(rest)
+
+try {
+  if (command === 'list') {
+    const storage = await createStorage(options.storage || process.env.STORAGE || 'file', PERSISTENCE_DIR)
+    for (const room of storage.list()) console.log(room)
+    storage.close()
+  } else if (command === 'export' || command === 'import' || command === 'copy') {
+    let from, to
+    if (command === 'copy') {
+      if (!options.from || !options.to || options.from === options.to) throw new Error('copy needs different --from and --to backends')
+      from = await createStorage(options.from, PERSISTENCE_DIR)
+      to = await createStorage(options.to, PERSISTENCE_DIR)
+    } else {
+      const dir = positional.shift()
+      if (!dir) throw new Error(`${command} needs a directory`)
+      mkdirSync(dir, { recursive: true })
+      const storage = await createStorage(options.storage || process.env.STORAGE || 'file', PERSISTENCE_DIR)
+      ;[from, to] = command === 'export' ? [storage, directoryRooms(dir)] : [directoryRooms(dir), storage]
+    }
+
+    const rooms = positional.length ? positional : from.list()
+    const invalid = rooms.filter(room => !isValidRoomName(room))
+    if (invalid.length && positional.length) throw new Error(`Invalid room name(s): ${invalid.join(', ')}`)
+    for (const room of invalid) console.warn(`Not a valid room name, skipped: ${room}`)
+
+    const copied = copyRooms(from, to, rooms.filter(isValidRoomName))
+    console.log(`${command === 'export' ? 'Exported' : command === 'import' ? 'Imported' : 'Copied'} ${copied} room(s)`)
+    from.close?.()
+    to.close?.()
+  } else {
+    console.error(USAGE)
+    process.exit(1)
+  }
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
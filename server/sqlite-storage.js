@@ -0,0 +1,57 @@
+// SQLite room storage (see storage.js for the interface)
+// One database for all rooms: a compacted state per room and the updates
+// appended since. Needs the optional better-sqlite3 dependency.
+
+import * as Y from 'yjs'
+import Database from 'better-sqlite3'
+
+/**
+ * @param {string} path - Database file
+ */
+export function sqliteStorage(path) {
+  const db = new Database(path)
+  db.pragma('journal_mode = WAL')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS room_state (room TEXT PRIMARY KEY, state BLOB NOT NULL);
+    CREATE TABLE IF NOT EXISTS room_updates (id INTEGER PRIMARY KEY AUTOINCREMENT, room TEXT NOT NULL, data BLOB NOT NULL);
+    CREATE INDEX IF NOT EXISTS room_updates_room ON room_updates (room, id);
+  `)
+
+  const selectState = db.prepare('SELECT state FROM room_state WHERE room = ?')
+  const selectUpdates = db.prepare('SELECT data FROM room_updates WHERE room = ? ORDER BY id')
+  const insertUpdate = db.prepare('INSERT INTO room_updates (room, data) VALUES (?, ?)')
+  const upsertState = db.prepare('INSERT INTO room_state (room, state) VALUES (?, ?) ON CONFLICT (room) DO UPDATE SET state = excluded.state')
+  const deleteUpdates = db.prepare('DELETE FROM room_updates WHERE room = ?')
+  const selectRooms = db.prepare('SELECT room FROM room_state UNION SELECT room FROM room_updates ORDER BY room')
+
+  const compact = db.transaction((room, state) => {
+    upsertState.run(room, Buffer.from(state))
+    deleteUpdates.run(room)
+  })
+
+  return {
+    load(room) {
+      const row = selectState.get(room)
+      const state = row ? [new Uint8Array(row.state)] : []
+      const logged = selectUpdates.all(room).map(({ data }) => new Uint8Array(data))
+      if (state.length + logged.length === 0) return null
+      return { state: Y.mergeUpdates([...state, ...logged]), updates: logged.length }
+    },
+
+    append(room, update) {
+      insertUpdate.run(room, Buffer.from(update))
+    },
+
+    compact(room, state) {
+      compact(room, state)
+    },
+
+    list() {
+      return selectRooms.all().map(row => row.room)
+    },
+
+    close() {
+      db.close()
+    },
+  }
+}
@@ -0,0 +1,128 @@
+// Room storage for the sync server
+// Every backend keeps, per room, a compacted state plus the updates made since,
+// and offers the same synchronous interface:
+//   load(room)           → { state, updates } | null
+//                          Everything stored as one update, and how many
+//                          logged updates it includes (0 right after compaction)
+//   append(room, update)                       Persist one incremental update
+//   compact(room, state)                       Replace all of it with a full state
+//   list()               → string[]            Stored room names
+//   close()
+// Updates are appended as they happen, so a crash loses nothing; compaction
+// folds the log back into the state now and then (see sync-server.js).
+// Checkpoints and room PDFs stay files in the data directory whichever backend
+// holds rooms.
+
+import * as Y from 'yjs'
+import {
+  readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync,
+  readdirSync, renameSync, unlinkSync, openSync, fsyncSync, closeSync, truncateSync,
+} from 'fs'
+import { join } from 'path'
+
+export const BACKENDS = ['file', 'sqlite']
+
+/**
+ * @param {'file' | 'sqlite'} backend
+ * @param {string} dataDir
+ */
+export async function createStorage(backend, dataDir) {
+  mkdirSync(dataDir, { recursive: true })
+  if (backend === 'file') return fileStorage(dataDir)
+  if (backend === 'sqlite') {
+    const { sqliteStorage } = await import('./sqlite-storage.js')
+    return sqliteStorage(join(dataDir, 'rooms.sqlite'))
+  }
+  throw new Error(`Unknown storage backend: ${backend} (expected ${BACKENDS.join(', ')})`)
+}
+
+/**
+ * Write via a temporary file and rename, so a crash leaves the old file or
+ * the new one but never half of either
+ * @param {string} path
+ * @param {string | Uint8Array} data
+ */
+export function writeAtomic(path, data) {
+  const tmpPath = `${path}.tmp`
+  writeFileSync(tmpPath, data)
+  const fd = openSync(tmpPath, 'r+')
+  try {
+    fsyncSync(fd)
+  } finally {
+    closeSync(fd)
+  }
+  renameSync(tmpPath, path)
+}
+
+// Log entries are a 4-byte big-endian length followed by the update
+function logEntry(update) {
+  const entry = Buffer.alloc(4 + update.length)
+  entry.writeUInt32BE(update.length, 0)
+  entry.set(update, 4)
+  return entry
+}
+
+// The complete entries, and where they end: a crash mid-append leaves a
+// partial entry after them, which never happened
+function readLog(data) {
+  const updates = []
+  let offset = 0
+  while (offset + 4 <= data.length) {
+    const length = data.readUInt32BE(offset)
+    if (offset + 4 + length > data.length) break
+    updates.push(new Uint8Array(data.subarray(offset + 4, offset + 4 + length)))
+    offset += 4 + length
+  }
+  return { updates, end: offset }
+}
+
+/**
+ * Rooms as <dir>/<room>.yjs (compacted state) and <dir>/<room>.log (updates since)
+ * @param {string} dir
+ */
+export function fileStorage(dir) {
+  const statePath = room => join(dir, `${room}.yjs`)
+  const logPath = room => join(dir, `${room}.log`)
+
+  return {
+    load(room) {
+      const state = existsSync(statePath(room)) ? [new Uint8Array(readFileSync(statePath(room)))] : []
+      let logged = []
+      if (existsSync(logPath(room))) {
+        const data = readFileSync(logPath(room))
+        const log = readLog(data)
+        // Cut a partial entry off, or updates appended after it would be
+        // read as part of it and lost
+        if (log.end < data.length) {
+          console.warn(`Dropping ${data.length - log.end} bytes of a partial update at the end of ${logPath(room)}`)
+          truncateSync(logPath(room), log.end)
+        }
+        logged = log.updates
+      }
+      if (state.length + logged.length === 0) return null
+      return { state: Y.mergeUpdates([...state, ...logged]), updates: logged.length }
+    },
+
+    append(room, update) {
+      appendFileSync(logPath(room), logEntry(update))
+    },
+
+    // State first, then the log: a crash in between only replays updates the
+    // state already holds, which Yjs ignores
+    compact(room, state) {
+      writeAtomic(statePath(room), state)
+      if (existsSync(logPath(room))) unlinkSync(logPath(room))
+    },
+
+    list() {
+      const rooms = new Set()
+      for (const name of readdirSync(dir)) {
+        const match = name.match(/^(.+)\.(yjs|log)$/)
+        if (match) rooms.add(match[1])
+      }
+      return [...rooms].sort()
+    },
+
+    close() {},
+  }
+}
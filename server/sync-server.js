@@ -1,95 +1,221 @@
 #!/usr/bin/env node
-// Yjs WebSocket sync server with file-based persistence
-// Usage: node server/sync-server.js [port]
+// Yjs WebSocket sync server with pluggable persistence (storage.js)
+// Speaks the y-protocols sync protocol over binary frames: state vectors are
+// exchanged on connect (step 1 / step 2) so each side only sends what the
+// other is missing, then incremental updates are relayed as they happen.
+// Awareness (who is in the room, their cursor and viewport) is relayed the
+// same way but never persisted.
+// Connections carry a signed room token (?token=..., see room-tokens.js) whose
+// role decides whether their updates are applied.
+// Each room is checkpointed periodically and on request (checkpoints.js);
+// the HTTP API lists, diffs and restores checkpoints, and reads and writes
+// the room's records (for scripts and the MCP server; see records.js).
+// PDF rooms keep their PDF here too, so anyone with the link can open it (pdfs.js).
+// Rooms nobody has used for a while are written out and dropped from memory.
+// Usage: [STORAGE=file|sqlite] node server/sync-server.js [port]
 
 import { WebSocketServer } from 'ws'
 import http from 'http'
 import * as Y from 'yjs'
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
+import * as syncProtocol from 'y-protocols/sync'
+import * as awarenessProtocol from 'y-protocols/awareness'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
 import { dirname, join } from 'path'
 import { fileURLToPath } from 'url'
+import { canEdit, isValidRoomName, signRoomToken, tokensRequired, verifyRoomToken } from './room-tokens.js'
+import { checkpointStore, currentRecords, diffRecords, restoreRecords } from './checkpoints.js'
+import { deleteRecords, getRecord, listRecords, patchRecords, putRecords } from './records.js'
+import { createStorage } from './storage.js'
+import { MAX_PDF_SIZE, pdfHash, pdfStore } from './pdfs.js'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const PORT = process.env.PORT || process.argv[2] || 5176
 const PERSISTENCE_DIR = process.env.DATA_DIR || join(__dirname, 'data')
+const STORAGE = process.env.STORAGE || 'file'
 
-// Ensure data directory exists
-if (!existsSync(PERSISTENCE_DIR)) {
-  mkdirSync(PERSISTENCE_DIR, { recursive: true })
-}
+const storage = await createStorage(STORAGE, PERSISTENCE_DIR)
+const pdfs = pdfStore(PERSISTENCE_DIR)
+
+// Top-level message types; the sync message type follows inside
+const MESSAGE_SYNC = 0
+const MESSAGE_AWARENESS = 1
+
+// Close codes for refused connections (clients don't retry these)
+const CLOSE_INVALID_ROOM = 4400
+const CLOSE_UNAUTHORIZED = 4401
+
+// Rooms edited since their last checkpoint get an automatic one this often
+const CHECKPOINT_INTERVAL = 10 * 60 * 1000
+
+// Origin of updates made by restoring a checkpoint (relayed to every client)
+const RESTORE_ORIGIN = 'restore'
+
+// Origin of updates made through the records API (also relayed to every client)
+const API_ORIGIN = 'api'
+
+// The update log is folded into the room's state this long after the last
+// update, or sooner once it holds this many
+const COMPACT_DELAY = 30 * 1000
+const COMPACT_AFTER_UPDATES = 500
+
+// Rooms with no connections are unloaded after this long unused
+const ROOM_IDLE_TIME = 5 * 60 * 1000
 
 // Store for active documents
 const docs = new Map()
 
+function send(ws, message) {
+  if (ws.readyState === 1) ws.send(message, { binary: true })
+}
+
+function awarenessMessage(awareness, clients) {
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, MESSAGE_AWARENESS)
+  encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, clients))
+  return encoding.toUint8Array(encoder)
+}
+
 function getDoc(docName) {
+  // Callers validate too; this is the last stop before storage
+  if (!isValidRoomName(docName)) throw new Error(`Invalid room name: ${docName}`)
   if (docs.has(docName)) {
-    return docs.get(docName)
+    const doc = docs.get(docName)
+    doc.lastUsed = Date.now()
+    return doc
   }
 
   const doc = new Y.Doc()
 
-  // Load from persistence
-  const filePath = join(PERSISTENCE_DIR, `${docName}.yjs`)
-  if (existsSync(filePath)) {
+  // Load from persistence; updates logged before a crash or restart count
+  // towards the next compaction like new ones
+  doc.updatesSinceCompaction = 0
+  try {
+    const stored = storage.load(docName)
+    if (stored) {
+      Y.applyUpdate(doc, stored.state)
+      doc.updatesSinceCompaction = stored.updates
+      console.log(`Loaded ${docName} from ${STORAGE} storage`)
+    }
+  } catch (e) {
+    console.error(`Failed to load ${docName}:`, e.message)
+  }
+
+  // Append each update as it happens; compact once things settle
+  doc.compactTimeout = null
+  doc.on('update', (update, origin) => {
+    doc.changedSinceCheckpoint = true
+    doc.lastUsed = Date.now()
     try {
-      const data = readFileSync(filePath)
-      Y.applyUpdate(doc, new Uint8Array(data))
-      console.log(`Loaded ${docName} from disk`)
+      storage.append(docName, update)
     } catch (e) {
-      console.error(`Failed to load ${docName}:`, e.message)
+      console.error(`Failed to save an update to ${docName}:`, e.message)
     }
-  }
+    doc.updatesSinceCompaction++
+    if (doc.compactTimeout) clearTimeout(doc.compactTimeout)
+    if (doc.updatesSinceCompaction >= COMPACT_AFTER_UPDATES) compactDoc(docName, doc)
+    else doc.compactTimeout = setTimeout(() => compactDoc(docName, doc), COMPACT_DELAY)
 
-  // Save on updates (debounced)
-  let saveTimeout = null
-  doc.on('update', () => {
-    if (saveTimeout) clearTimeout(saveTimeout)
-    saveTimeout = setTimeout(() => {
-      try {
-        const state = Y.encodeStateAsUpdate(doc)
-        writeFileSync(filePath, Buffer.from(state))
-        console.log(`Saved ${docName}`)
-      } catch (e) {
-        console.error(`Failed to save ${docName}:`, e.message)
-      }
-    }, 1000)
+    // Relay the update to every client but the one it came from
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, MESSAGE_SYNC)
+    syncProtocol.writeUpdate(encoder, update)
+    const message = encoding.toUint8Array(encoder)
+    for (const conn of doc.conns) {
+      if (conn !== origin) send(conn, message)
+    }
+  })
+
+  // Presence of everyone in the room; the server itself has none
+  const awareness = new awarenessProtocol.Awareness(doc)
+  awareness.setLocalState(null)
+  awareness.on('update', ({ added, updated, removed }, origin) => {
+    const changed = [...added, ...updated, ...removed]
+    // Remember which clients each connection speaks for, to clear them when it drops
+    if (origin && origin.awarenessClients) {
+      for (const client of [...added, ...updated]) origin.awarenessClients.add(client)
+      for (const client of removed) origin.awarenessClients.delete(client)
+    }
+    const message = awarenessMessage(awareness, changed)
+    for (const conn of doc.conns) {
+      if (conn !== origin) send(conn, message)
+    }
   })
 
+  doc.conns = new Set()
+  doc.awareness = awareness
+  doc.checkpoints = checkpointStore(PERSISTENCE_DIR, docName)
+  doc.changedSinceCheckpoint = false
+  doc.lastUsed = Date.now()
   docs.set(docName, doc)
   return doc
 }
 
-// Simple sync protocol
-function setupWSConnection(ws, docName) {
+// Fold a room's update log into its stored state
+function compactDoc(docName, doc) {
+  if (doc.compactTimeout) clearTimeout(doc.compactTimeout)
+  doc.compactTimeout = null
+  if (doc.updatesSinceCompaction === 0) return
+  try {
+    storage.compact(docName, Y.encodeStateAsUpdate(doc))
+    doc.updatesSinceCompaction = 0
+    console.log(`Compacted ${docName}`)
+  } catch (e) {
+    console.error(`Failed to compact ${docName}:`, e.message)
+  }
+}
+
+// Write a room out and drop it from memory; it reloads on next use
+function evictDoc(docName, doc) {
+  compactDoc(docName, doc)
+  if (doc.changedSinceCheckpoint) {
+    try {
+      doc.checkpoints.create(doc, { auto: true })
+    } catch (e) {
+      console.error(`Failed to checkpoint ${docName}:`, e.message)
+    }
+  }
+  doc.awareness.destroy()
+  doc.destroy()
+  docs.delete(docName)
+  console.log(`Unloaded ${docName}`)
+}
+
+function setupWSConnection(ws, docName, role) {
   const doc = getDoc(docName)
 
   // Track this connection
-  if (!doc.conns) doc.conns = new Set()
   doc.conns.add(ws)
+  ws.awarenessClients = new Set()
 
   // Ping/pong keepalive to prevent proxy timeouts
   ws.isAlive = true
   ws.on('pong', () => { ws.isAlive = true })
 
-  // Send current state
-  const state = Y.encodeStateAsUpdate(doc)
-  ws.send(JSON.stringify({ type: 'sync', data: Array.from(state) }))
-
-  // Handle incoming updates
+  // Handle incoming sync messages; updates are applied with the connection as
+  // their origin, so the relay above skips the sender
   ws.on('message', (message) => {
     try {
-      const msg = JSON.parse(message.toString())
-      if (msg.type === 'update') {
-        const update = new Uint8Array(msg.data)
-        Y.applyUpdate(doc, update)
-
-        // Broadcast to other clients
-        for (const conn of doc.conns) {
-          if (conn !== ws && conn.readyState === 1) {
-            conn.send(JSON.stringify({ type: 'update', data: msg.data }))
-          }
-        }
+      const decoder = decoding.createDecoder(new Uint8Array(message))
+      const encoder = encoding.createEncoder()
+      const messageType = decoding.readVarUint(decoder)
+      if (messageType === MESSAGE_AWARENESS) {
+        awarenessProtocol.applyAwarenessUpdate(doc.awareness, decoding.readVarUint8Array(decoder), ws)
+        return
+      }
+      if (messageType !== MESSAGE_SYNC) return
+
+      // Viewers may ask for the document (step 1) but not change it
+      if (!canEdit(role) && decoding.peekVarUint(decoder) !== syncProtocol.messageYjsSyncStep1) {
+        if (!ws.warnedReadOnly) console.warn(`Dropping update from ${role} in ${docName}`)
+        ws.warnedReadOnly = true
+        return
       }
+
+      encoding.writeVarUint(encoder, MESSAGE_SYNC)
+      syncProtocol.readSyncMessage(decoder, encoder, doc, ws)
+      // Step 1 from the client gets a step 2 reply with what it's missing
+      if (encoding.length(encoder) > 1) send(ws, encoding.toUint8Array(encoder))
     } catch (e) {
       console.error('Message error:', e.message)
     }
@@ -97,30 +223,352 @@ function setupWSConnection(ws, docName) {
 
   ws.on('close', () => {
     doc.conns.delete(ws)
+    doc.lastUsed = Date.now()
+    awarenessProtocol.removeAwarenessStates(doc.awareness, [...ws.awarenessClients], null)
     console.log(`Client disconnected from ${docName} (${doc.conns.size} remaining)`)
   })
 
-  console.log(`Client connected to ${docName} (${doc.conns.size} total)`)
+  // Send our state vector; the client replies with whatever we're missing
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, MESSAGE_SYNC)
+  syncProtocol.writeSyncStep1(encoder, doc)
+  send(ws, encoding.toUint8Array(encoder))
+
+  // And who else is here
+  const present = [...doc.awareness.getStates().keys()]
+  if (present.length > 0) send(ws, awarenessMessage(doc.awareness, present))
+
+  console.log(`Client connected to ${docName} as ${role} (${doc.conns.size} total)`)
+}
+
+// A URL path segment (room name, record ID) decoded; null if it doesn't decode
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    return null
+  }
+}
+
+function bearerToken(req) {
+  const match = req.headers.authorization?.match(/^Bearer\s+(\S+)$/)
+  return match ? match[1] : null
+}
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+// Raw request body; rejects once it grows past `limit` bytes
+function readBody(req, limit = 10 * 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > limit) {
+        reject(new Error(`Request body over ${limit} bytes`))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+// Parsed JSON request body ({} if empty); rejects on malformed JSON
+async function readJson(req) {
+  const body = await readBody(req)
+  return JSON.parse(body.toString('utf8') || '{}')
+}
+
+/**
+ * Check the request's bearer token for a room; answers the request itself if
+ * it falls short
+ * @param {(role: string) => boolean} allowed
+ * @param {string} [refusal] - Error for a valid token whose role isn't allowed
+ * @returns {string | null} The caller's role, or null if refused
+ */
+function authorize(req, res, room, allowed, refusal) {
+  const auth = isValidRoomName(room) ? verifyRoomToken(bearerToken(req), room) : { error: 'Invalid room name' }
+  if (auth.error) {
+    json(res, 401, { error: auth.error })
+    return null
+  }
+  if (!allowed(auth.role)) {
+    json(res, 403, { error: refusal })
+    return null
+  }
+  return auth.role
 }
 
-// HTTP server for health check
-const server = http.createServer((req, res) => {
-  if (req.url === '/health') {
+// Answer 500 for a request that failed on the server's side (an unreadable
+// checkpoint, say) rather than letting it take the server down
+function serverError(res, room, e) {
+  console.error(`Request for ${room} failed:`, e)
+  json(res, 500, { error: e.message })
+}
+
+function checkpointRecords(doc, id) {
+  return id === 'current' ? currentRecords(doc) : doc.checkpoints.records(id)
+}
+
+// HTTP server: health check, share tokens for room owners, checkpoints and records
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  if (req.method === 'OPTIONS') {
     res.writeHead(200)
-    res.end('ok')
-  } else {
-    res.writeHead(404)
     res.end()
+    return
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`)
+
+  if (url.pathname === '/health') {
+    res.writeHead(200)
+    res.end('ok')
+    return
   }
+
+  // POST /rooms/:room/tokens { role, expiresInDays? } with an owner token → { token }
+  const tokenRoute = url.pathname.match(/^\/rooms\/([^/]+)\/tokens$/)
+  if (tokenRoute && req.method === 'POST') {
+    const room = decodeSegment(tokenRoute[1])
+    if (!authorize(req, res, room, role => role === 'owner', 'Only owners can share a room')) return
+
+    try {
+      const { role, expiresInDays } = await readJson(req)
+      json(res, 200, { token: signRoomToken({ room, role, expiresInDays }), role })
+    } catch (e) {
+      json(res, 400, { error: e.message })
+    }
+    return
+  }
+
+  // GET  /rooms/:room/checkpoints → { checkpoints } (newest first)
+  // POST /rooms/:room/checkpoints { name? } → { checkpoint } (editors only)
+  const checkpointsRoute = url.pathname.match(/^\/rooms\/([^/]+)\/checkpoints$/)
+  if (checkpointsRoute && (req.method === 'GET' || req.method === 'POST')) {
+    const room = decodeSegment(checkpointsRoute[1])
+    if (req.method === 'GET') {
+      if (!authorize(req, res, room, () => true)) return
+      try {
+        json(res, 200, { checkpoints: getDoc(room).checkpoints.list() })
+      } catch (e) {
+        serverError(res, room, e)
+      }
+      return
+    }
+
+    if (!authorize(req, res, room, canEdit, 'Viewers cannot create checkpoints')) return
+    try {
+      const { name } = await readJson(req)
+      const doc = getDoc(room)
+      const checkpoint = doc.checkpoints.create(doc, { name: typeof name === 'string' ? name.trim().slice(0, 200) : null })
+      doc.changedSinceCheckpoint = false
+      console.log(`Checkpoint ${checkpoint.id} of ${room}${checkpoint.name ? ` (${checkpoint.name})` : ''}`)
+      json(res, 200, { checkpoint })
+    } catch (e) {
+      json(res, 400, { error: e.message })
+    }
+    return
+  }
+
+  // GET /rooms/:room/checkpoints/:id/diff?against=current|<id> → { added, removed, changed }
+  const diffRoute = url.pathname.match(/^\/rooms\/([^/]+)\/checkpoints\/(\d+)\/diff$/)
+  if (diffRoute && req.method === 'GET') {
+    const room = decodeSegment(diffRoute[1])
+    if (!authorize(req, res, room, () => true)) return
+
+    try {
+      const doc = getDoc(room)
+      const from = doc.checkpoints.records(diffRoute[2])
+      const against = url.searchParams.get('against') || 'current'
+      const to = checkpointRecords(doc, against)
+      if (!from || !to) {
+        json(res, 404, { error: `No checkpoint ${from ? against : diffRoute[2]}` })
+        return
+      }
+      json(res, 200, diffRecords(from, to))
+    } catch (e) {
+      serverError(res, room, e)
+    }
+    return
+  }
+
+  // POST /rooms/:room/checkpoints/:id/restore → { checkpoint } (owners only)
+  // Checkpoints the current state first, so a restore can itself be undone
+  const restoreRoute = url.pathname.match(/^\/rooms\/([^/]+)\/checkpoints\/(\d+)\/restore$/)
+  if (restoreRoute && req.method === 'POST') {
+    const room = decodeSegment(restoreRoute[1])
+    if (!authorize(req, res, room, role => role === 'owner', 'Only owners can restore a room')) return
+
+    try {
+      const doc = getDoc(room)
+      const records = doc.checkpoints.records(restoreRoute[2])
+      if (!records) {
+        json(res, 404, { error: `No checkpoint ${restoreRoute[2]}` })
+        return
+      }
+      const before = doc.checkpoints.create(doc, { name: `Before restoring ${restoreRoute[2]}` })
+      restoreRecords(doc, records, RESTORE_ORIGIN)
+      doc.changedSinceCheckpoint = false
+      console.log(`Restored ${room} to checkpoint ${restoreRoute[2]}`)
+      json(res, 200, { checkpoint: before })
+    } catch (e) {
+      serverError(res, room, e)
+    }
+    return
+  }
+
+  // GET    /rooms/:room/records?typeName=&type=&page= → { records }
+  // POST   /rooms/:room/records { records } → { records }  (create or replace)
+  // PATCH  /rooms/:room/records { records: [{ id, ...changes }] } → { records }
+  // DELETE /rooms/:room/records { ids } → { deleted }
+  // Writes are for editors, and reach connected clients like any other edit
+  const recordsRoute = url.pathname.match(/^\/rooms\/([^/]+)\/records$/)
+  if (recordsRoute && ['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    const room = decodeSegment(recordsRoute[1])
+    if (req.method === 'GET') {
+      if (!authorize(req, res, room, () => true)) return
+      const filter = Object.fromEntries(['typeName', 'type', 'page'].map(key => [key, url.searchParams.get(key)]))
+      try {
+        json(res, 200, { records: listRecords(getDoc(room), filter) })
+      } catch (e) {
+        serverError(res, room, e)
+      }
+      return
+    }
+
+    if (!authorize(req, res, room, canEdit, 'Viewers cannot change a room')) return
+    try {
+      const body = await readJson(req)
+      const doc = getDoc(room)
+      if (req.method === 'POST') json(res, 200, { records: putRecords(doc, body.records, API_ORIGIN) })
+      else if (req.method === 'PATCH') json(res, 200, { records: patchRecords(doc, body.records, API_ORIGIN) })
+      else json(res, 200, { deleted: deleteRecords(doc, body.ids, API_ORIGIN) })
+    } catch (e) {
+      json(res, 400, { error: e.message })
+    }
+    return
+  }
+
+  // GET /rooms/:room/records/:id → { record }
+  const recordRoute = url.pathname.match(/^\/rooms\/([^/]+)\/records\/([^/]+)$/)
+  if (recordRoute && req.method === 'GET') {
+    const room = decodeSegment(recordRoute[1])
+    if (!authorize(req, res, room, () => true)) return
+    const id = decodeSegment(recordRoute[2])
+    try {
+      const record = id && getRecord(getDoc(room), id)
+      if (!record) {
+        json(res, 404, { error: `No record ${id}` })
+        return
+      }
+      json(res, 200, { record })
+    } catch (e) {
+      serverError(res, room, e)
+    }
+    return
+  }
+
+  // GET /rooms/:room/pdf → { pdf: { hash, name, size } | null }
+  // PUT /rooms/:room/pdf?name= with the file as the body → { pdf } (editors only)
+  // A room holds one PDF; uploading the same file again is a no-op
+  const pdfRoute = url.pathname.match(/^\/rooms\/([^/]+)\/pdf$/)
+  if (pdfRoute && (req.method === 'GET' || req.method === 'PUT')) {
+    const room = decodeSegment(pdfRoute[1])
+    if (req.method === 'GET') {
+      if (!authorize(req, res, room, () => true)) return
+      try {
+        json(res, 200, { pdf: pdfs.roomPdf(room) })
+      } catch (e) {
+        serverError(res, room, e)
+      }
+      return
+    }
+
+    if (!authorize(req, res, room, canEdit, 'Viewers cannot add a PDF')) return
+    try {
+      const data = await readBody(req, MAX_PDF_SIZE)
+      if (!data.subarray(0, 5).equals(Buffer.from('%PDF-'))) throw new Error('Not a PDF')
+      const hash = pdfHash(data)
+      const current = pdfs.roomPdf(room)
+      if (current && current.hash !== hash) {
+        json(res, 409, { error: `Room already has a PDF (${current.name})` })
+        return
+      }
+      if (!current) {
+        pdfs.save(hash, data)
+        const name = (url.searchParams.get('name') || 'document.pdf').slice(0, 200)
+        pdfs.setRoomPdf(room, { hash, name, size: data.length })
+        console.log(`PDF ${hash.slice(0, 12)} (${name}) added to ${room}`)
+      }
+      json(res, 200, { pdf: pdfs.roomPdf(room) })
+    } catch (e) {
+      json(res, 400, { error: e.message })
+    }
+    return
+  }
+
+  // GET /rooms/:room/pdf/:hash → the PDF itself, if it was uploaded to this room
+  const pdfFileRoute = url.pathname.match(/^\/rooms\/([^/]+)\/pdf\/([0-9a-f]{64})$/)
+  if (pdfFileRoute && req.method === 'GET') {
+    const room = decodeSegment(pdfFileRoute[1])
+    if (!authorize(req, res, room, () => true)) return
+    const hash = pdfFileRoute[2]
+    let data
+    try {
+      data = pdfs.roomPdf(room)?.hash === hash ? pdfs.read(hash) : null
+    } catch (e) {
+      serverError(res, room, e)
+      return
+    }
+    if (!data) {
+      json(res, 404, { error: 'No such PDF in this room' })
+      return
+    }
+    res.writeHead(200, {
+      'Content-Type': 'application/pdf',
+      'Content-Length': data.length,
+      // Named by content, so it never changes
+      'Cache-Control': 'private, max-age=31536000, immutable',
+    })
+    res.end(data)
+    return
+  }
+
+  res.writeHead(404)
+  res.end()
 })
 
 // WebSocket server
 const wss = new WebSocketServer({ server })
 
 wss.on('connection', (ws, req) => {
-  // Extract doc name from URL path: /doc-name
-  const docName = req.url?.slice(1) || 'default'
-  setupWSConnection(ws, docName)
+  // Room from the URL path (/room-name), token from the query string
+  const url = new URL(req.url || '/', `http://localhost:${PORT}`)
+  const docName = url.pathname === '/' ? 'default' : decodeSegment(url.pathname.slice(1))
+
+  if (!isValidRoomName(docName)) {
+    ws.close(CLOSE_INVALID_ROOM, 'Invalid room name')
+    return
+  }
+
+  const auth = verifyRoomToken(url.searchParams.get('token'), docName)
+  if (auth.error) {
+    console.warn(`Refused connection to ${docName}: ${auth.error}`)
+    ws.close(CLOSE_UNAUTHORIZED, auth.error)
+    return
+  }
+
+  setupWSConnection(ws, docName, auth.role)
 })
 
 // Ping all clients every 30 seconds to keep connections alive
@@ -134,11 +582,47 @@ const pingInterval = setInterval(() => {
   })
 }, 30000)
 
+// Checkpoint rooms that changed since their last checkpoint
+const checkpointInterval = setInterval(() => {
+  for (const [docName, doc] of docs) {
+    if (!doc.changedSinceCheckpoint) continue
+    try {
+      doc.checkpoints.create(doc, { auto: true })
+      doc.changedSinceCheckpoint = false
+    } catch (e) {
+      console.error(`Failed to checkpoint ${docName}:`, e.message)
+    }
+  }
+}, CHECKPOINT_INTERVAL)
+
+// Unload rooms nobody is connected to or has used for a while
+const evictInterval = setInterval(() => {
+  const now = Date.now()
+  for (const [docName, doc] of docs) {
+    if (doc.conns.size === 0 && now - doc.lastUsed > ROOM_IDLE_TIME) evictDoc(docName, doc)
+  }
+}, 60 * 1000)
+
 wss.on('close', () => {
   clearInterval(pingInterval)
+  clearInterval(checkpointInterval)
+  clearInterval(evictInterval)
 })
 
+// Compact everything on the way out, so the next start loads states, not logs
+function shutdown(signal) {
+  console.log(`${signal}: saving ${docs.size} room(s)`)
+  for (const [docName, doc] of docs) compactDoc(docName, doc)
+  storage.close()
+  process.exit(0)
+}
+process.on('SIGINT', () => shutdown('SIGINT'))
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+
 server.listen(PORT, () => {
   console.log(`Yjs sync server running on ws://localhost:${PORT}`)
-  console.log(`Persistence dir: ${PERSISTENCE_DIR}`)
+  console.log(`Persistence: ${STORAGE} storage in ${PERSISTENCE_DIR}`)
+  if (!tokensRequired()) {
+    console.warn('ROOM_TOKEN_SECRET is not set: every connection is an owner (development only)')
+  }
 })
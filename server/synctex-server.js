@@ -3,94 +3,149 @@
 // Run this alongside your documents to enable source anchoring
 
 import http from 'http'
-import { execSync } from 'child_process'
-import { existsSync, readFileSync } from 'fs'
-import { join, dirname, basename } from 'path'
-import { fileURLToPath } from 'url'
+import { existsSync, statSync } from 'fs'
+import { basename } from 'path'
+import { loadSynctex, findSynctexFile, synctexEdit, synctexView } from '../scripts/synctex-parser.js'
+import { getDocument, listDocuments, registerDocument as saveRegistration } from '../scripts/doc-registry.js'
 
-const __dirname = dirname(fileURLToPath(import.meta.url))
 const PORT = process.env.SYNCTEX_PORT || 5177
+const MAX_BODY = 1024 * 1024  // bytes
+const MAX_BATCH = 10000       // points or lines per batch request
 
-// Document registry: doc-name → { pdfPath, texPath, synctexPath }
-const documents = new Map()
-
+// Documents' TeX sources live in doc-sources.json (see scripts/doc-registry.js)
+// Registrations via /register or argv are written back, so they survive restarts
 function registerDocument(docName, texPath) {
-  const dir = dirname(texPath)
-  const base = basename(texPath, '.tex')
-  const pdfPath = join(dir, base + '.pdf')
-  const synctexPath = join(dir, base + '.synctex.gz')
+  const doc = saveRegistration(docName, texPath)
 
-  if (!existsSync(synctexPath)) {
+  if (!existsSync(doc.synctexPath)) {
     console.warn(`Warning: No synctex file for ${docName}. Compile with -synctex=1`)
   }
 
-  documents.set(docName, { texPath, pdfPath, synctexPath, dir, base })
-  console.log(`Registered: ${docName} → ${texPath}`)
+  resultCache.delete(docName)
+  console.log(`Registered: ${docName} → ${doc.texPath}`)
+}
+
+// Registered document with TeX sources, or null
+function findDocument(docName) {
+  const doc = docName ? getDocument(docName) : null
+  return doc?.texPath ? doc : null
 }
 
-// PDF coordinates → source location
+// Lookup results per document: doc-name → { mtime, edit: Map, view: Map }
+// Dropped whenever the document's synctex file changes (i.e. after a rebuild)
+const resultCache = new Map()
+
+function lookupCache(docName, doc) {
+  const synctexPath = findSynctexFile(doc.pdfPath)
+  const mtime = synctexPath ? statSync(synctexPath).mtimeMs : 0
+
+  let cache = resultCache.get(docName)
+  if (!cache || cache.mtime !== mtime) {
+    cache = { mtime, edit: new Map(), view: new Map() }
+    resultCache.set(docName, cache)
+  }
+  return cache
+}
+
+// PDF coordinates → source location (cached)
 function pdfToSource(docName, page, x, y) {
-  const doc = documents.get(docName)
+  const doc = findDocument(docName)
   if (!doc) return { error: 'Document not registered' }
 
+  const cache = lookupCache(docName, doc).edit
+  const key = `${page}:${x.toFixed(2)}:${y.toFixed(2)}`
+  if (!cache.has(key)) cache.set(key, editLookup(doc, page, x, y))
+  return { ...cache.get(key) }
+}
+
+// Source location → PDF coordinates (cached)
+function sourceToPdf(docName, file, line) {
+  const doc = findDocument(docName)
+  if (!doc) return { error: 'Document not registered' }
+
+  const cache = lookupCache(docName, doc).view
+  const key = `${file}:${line}`
+  if (!cache.has(key)) cache.set(key, viewLookup(doc, file, line))
+  return { ...cache.get(key) }
+}
+
+function editLookup(doc, page, x, y) {
   try {
-    const cmd = `synctex edit -o "${page}:${x}:${y}:${doc.pdfPath}"`
-    const output = execSync(cmd, { encoding: 'utf8', cwd: doc.dir, stdio: ['pipe', 'pipe', 'pipe'] })
-
-    const result = {}
-    for (const line of output.split('\n')) {
-      if (line.startsWith('Input:')) result.file = line.slice(6)
-      if (line.startsWith('Line:')) result.line = parseInt(line.slice(5))
-      if (line.startsWith('Column:')) result.column = parseInt(line.slice(7))
-    }
+    const index = loadSynctex(doc.pdfPath)
+    if (!index) return { error: 'No synctex file. Compile with -synctex=1' }
+
+    const result = synctexEdit(index, page, x, y)
+    if (!result) return { error: 'No source location found' }
 
-    if (result.file && result.line) {
-      // Make path relative to doc dir
-      if (result.file.startsWith(doc.dir)) {
-        result.file = result.file.slice(doc.dir.length + 1)
-      }
-      return result
+    // Make path relative to doc dir
+    if (result.file.startsWith(doc.dir)) {
+      result.file = result.file.slice(doc.dir.length + 1)
     }
-    return { error: 'No source location found' }
+    return result
   } catch (e) {
     return { error: e.message }
   }
 }
 
-// Source location → PDF coordinates
-function sourceToPdf(docName, file, line, column = 0) {
-  const doc = documents.get(docName)
-  if (!doc) return { error: 'Document not registered' }
-
-  // Resolve relative file path
-  const fullPath = file.startsWith('/') ? file : join(doc.dir, file)
-
+function viewLookup(doc, file, line) {
   try {
-    const cmd = `synctex view -i "${line}:${column}:${fullPath}" -o "${doc.pdfPath}"`
-    const output = execSync(cmd, { encoding: 'utf8', cwd: doc.dir, stdio: ['pipe', 'pipe', 'pipe'] })
-
-    const result = {}
-    for (const line of output.split('\n')) {
-      if (line.startsWith('Page:')) result.page = parseInt(line.slice(5))
-      if (line.startsWith('x:')) result.x = parseFloat(line.slice(2))
-      if (line.startsWith('y:')) result.y = parseFloat(line.slice(2))
-      if (line.startsWith('h:')) result.h = parseFloat(line.slice(2))
-      if (line.startsWith('v:')) result.v = parseFloat(line.slice(2))
-      if (line.startsWith('W:')) result.width = parseFloat(line.slice(2))
-      if (line.startsWith('H:')) result.height = parseFloat(line.slice(2))
-    }
+    const index = loadSynctex(doc.pdfPath)
+    if (!index) return { error: 'No synctex file. Compile with -synctex=1' }
 
-    if (result.page) {
-      result.x = result.x ?? result.h
-      result.y = result.y ?? result.v
-      return result
-    }
-    return { error: 'No PDF location found' }
+    // Relative file paths resolve against the doc dir
+    const result = synctexView(index, file, line, doc.dir)
+    if (!result) return { error: 'No PDF location found' }
+    return result
   } catch (e) {
     return { error: e.message }
   }
 }
 
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+// Collect a JSON request body and hand it to `handle`: 413 once it grows past
+// MAX_BODY, 400 if it doesn't parse or `handle` throws
+function withJsonBody(req, res, handle) {
+  let body = ''
+  let size = 0
+  req.on('data', chunk => {
+    if (res.headersSent) return
+    size += chunk.length
+    if (size > MAX_BODY) {
+      res.setHeader('Connection', 'close')
+      json(res, 413, { error: `Request body over ${MAX_BODY} bytes` })
+      return
+    }
+    body += chunk
+  })
+  req.on('end', () => {
+    if (res.headersSent) return
+    try {
+      handle(JSON.parse(body))
+    } catch (e) {
+      json(res, 400, { error: e.message })
+    }
+  })
+}
+
+// Registration points the server at files on this machine, so only take it
+// from here, and not from a browser: any page the user visits could send it
+function isLocalCli(req) {
+  const address = req.socket.remoteAddress
+  const loopback = address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1'
+  return loopback && !req.headers.origin
+}
+
+// A batch's array argument, within MAX_BATCH
+function batchArray(value, name) {
+  if (!Array.isArray(value)) throw new Error(`${name} must be an array`)
+  if (value.length > MAX_BATCH) throw new Error(`At most ${MAX_BATCH} ${name} per request`)
+  return value
+}
+
 // HTTP server
 const server = http.createServer((req, res) => {
   // CORS
@@ -124,39 +179,54 @@ const server = http.createServer((req, res) => {
     const doc = url.searchParams.get('doc')
     const file = url.searchParams.get('file')
     const line = parseInt(url.searchParams.get('line'))
-    const column = parseInt(url.searchParams.get('column')) || 0
 
-    const result = sourceToPdf(doc, file, line, column)
+    const result = sourceToPdf(doc, file, line)
     res.writeHead(200, { 'Content-Type': 'application/json' })
     res.end(JSON.stringify(result))
     return
   }
 
+  // POST /edit/batch { doc, points: [{ page, x, y }] } → { results: [...] }
+  if (url.pathname === '/edit/batch' && req.method === 'POST') {
+    withJsonBody(req, res, ({ doc, points }) => {
+      const results = batchArray(points, 'points').map(p => pdfToSource(doc, parseInt(p.page), parseFloat(p.x), parseFloat(p.y)))
+      json(res, 200, { results })
+    })
+    return
+  }
+
+  // POST /view/batch { doc, lines: [{ file, line }] } → { results: [...] }
+  if (url.pathname === '/view/batch' && req.method === 'POST') {
+    withJsonBody(req, res, ({ doc, lines }) => {
+      const results = batchArray(lines, 'lines').map(l => sourceToPdf(doc, String(l.file), parseInt(l.line)))
+      json(res, 200, { results })
+    })
+    return
+  }
+
   // GET /docs → list registered documents
   if (url.pathname === '/docs') {
     const list = {}
-    for (const [name, doc] of documents) {
-      list[name] = { texPath: doc.texPath, hasSync: existsSync(doc.synctexPath) }
+    for (const doc of listDocuments()) {
+      if (!doc.texPath) continue
+      // Where the sources are on this machine is for local tools only
+      const texPath = isLocalCli(req) ? doc.texPath : basename(doc.texPath)
+      list[doc.id] = { texPath, hasSync: existsSync(doc.synctexPath) }
     }
     res.writeHead(200, { 'Content-Type': 'application/json' })
     res.end(JSON.stringify(list))
     return
   }
 
-  // POST /register { name, texPath }
+  // POST /register { name, texPath } (from this machine, not from browsers)
   if (url.pathname === '/register' && req.method === 'POST') {
-    let body = ''
-    req.on('data', chunk => body += chunk)
-    req.on('end', () => {
-      try {
-        const { name, texPath } = JSON.parse(body)
-        registerDocument(name, texPath)
-        res.writeHead(200, { 'Content-Type': 'application/json' })
-        res.end(JSON.stringify({ ok: true }))
-      } catch (e) {
-        res.writeHead(400, { 'Content-Type': 'application/json' })
-        res.end(JSON.stringify({ error: e.message }))
-      }
+    if (!isLocalCli(req)) {
+      json(res, 403, { error: 'Register documents from this machine (curl or doc-registry.js)' })
+      return
+    }
+    withJsonBody(req, res, ({ name, texPath }) => {
+      registerDocument(name, texPath)
+      json(res, 200, { ok: true })
     })
     return
   }
@@ -168,7 +238,11 @@ const server = http.createServer((req, res) => {
 server.listen(PORT, () => {
   console.log(`SyncTeX server running on http://localhost:${PORT}`)
   console.log('')
-  console.log('Register documents:')
+  for (const doc of listDocuments()) {
+    if (doc.texPath) console.log(`Document: ${doc.id} → ${doc.texPath}`)
+  }
+  console.log('')
+  console.log('Register more documents (saved to doc-sources.json):')
   console.log(`  curl -X POST http://localhost:${PORT}/register -d '{"name":"bregman","texPath":"/path/to/bregman.tex"}'`)
   console.log('')
   console.log('Or pass as arguments:')
@@ -4,6 +4,10 @@ import type { Pdf } from './PdfPicker'
 import { PdfEditor } from './PdfEditor'
 import { SvgDocumentEditor, loadSvgDocument } from './SvgDocument'
 import { Canvas } from './Canvas'
+import { SYNC_SERVER, roomTokenFromUrl } from './roomAccess'
+import { fetchRoomPdf } from './roomPdf'
+import type { PageGeometry } from './pageGeometry.js'
+import type { ManifestOutlineEntry } from './documentOutline'
 import './App.css'
 
 // Error boundary to prevent blank screen on errors
@@ -42,6 +46,9 @@ interface DocConfig {
   name: string
   pages: number
   basePath: string
+  geometry?: PageGeometry[]
+  pdfUrl?: string
+  outline?: ManifestOutlineEntry[]
 }
 
 type SvgDoc = Awaited<ReturnType<typeof loadSvgDocument>>
@@ -96,6 +103,10 @@ function App() {
     } else if (pdfUrl) {
       setState({ phase: 'loading', message: 'Loading PDF...', roomId })
       loadPdfFromUrl(pdfUrl, roomId)
+    } else if (params.get('room')) {
+      // An existing room may be a PDF room; the sync server has its PDF
+      setState({ phase: 'loading', message: 'Opening room...', roomId })
+      loadRoom(roomId)
     } else {
       setState({ phase: 'canvas', roomId })
     }
@@ -119,7 +130,7 @@ function App() {
         return `${config.basePath}page-${pageNum}.svg`
       })
 
-      const document = await loadSvgDocument(config.name, urls)
+      const document = await loadSvgDocument(docName, config.name, urls, config.geometry, config.pdfUrl, config.outline)
       setState({ phase: 'svg', document, roomId })
     } catch (e) {
       console.error('Failed to load document:', e)
@@ -141,6 +152,22 @@ function App() {
     }
   }
 
+  async function loadRoom(roomId: string) {
+    try {
+      const roomPdf = await fetchRoomPdf(SYNC_SERVER, roomId, roomTokenFromUrl())
+      if (!roomPdf) {
+        setState({ phase: 'canvas', roomId })
+        return
+      }
+      setState(s => s ? { ...s, message: `Loading ${roomPdf.name}...` } : s)
+      const pdf = await loadPdf(roomPdf.name, roomPdf.data)
+      setState({ phase: 'pdf', pdf, roomId })
+    } catch (e) {
+      console.error('Failed to open room:', e)
+      setState({ phase: 'canvas', roomId })
+    }
+  }
+
   function handleLoadPdf() {
     const input = document.createElement('input')
     input.type = 'file'
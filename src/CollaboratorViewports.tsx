@@ -0,0 +1,55 @@
+// Outlines of what each collaborator is looking at, in their colour
+// Rendered on the canvas (page space); cursors are drawn by tldraw itself
+
+import { useEditor, useValue } from 'tldraw'
+
+const BORDER_WIDTH = 2  // Screen px
+const LABEL_SIZE = 11   // Screen px
+
+export function CollaboratorViewports() {
+  const editor = useEditor()
+  const zoom = useValue('zoom', () => editor.getZoomLevel(), [editor])
+
+  const viewports = useValue('collaborator viewports', () => {
+    const following = editor.getInstanceState().followingUserId
+    return editor.getCollaboratorsOnCurrentPage().flatMap(({ id, userId, userName, color, camera, screenBounds }) => {
+      // Following someone, their viewport is ours
+      if (userId === following || !camera || !screenBounds || camera.z <= 0) return []
+      return [{
+        id,
+        userName,
+        color,
+        x: -camera.x,
+        y: -camera.y,
+        w: screenBounds.w / camera.z,
+        h: screenBounds.h / camera.z,
+      }]
+    })
+  }, [editor])
+
+  return (
+    <>
+      {viewports.map(viewport => (
+        <div
+          key={viewport.id}
+          className="collaborator-viewport"
+          style={{
+            left: viewport.x,
+            top: viewport.y,
+            width: viewport.w,
+            height: viewport.h,
+            borderColor: viewport.color,
+            borderWidth: BORDER_WIDTH / zoom,
+          }}
+        >
+          <span
+            className="collaborator-viewport-label"
+            style={{ background: viewport.color, fontSize: LABEL_SIZE / zoom, padding: `${1 / zoom}px ${5 / zoom}px` }}
+          >
+            {viewport.userName}
+          </span>
+        </div>
+      ))}
+    </>
+  )
+}
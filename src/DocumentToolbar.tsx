@@ -0,0 +1,13 @@
+// Toolbar for document editors: the default tools plus text highlighting
+
+import { DefaultToolbar, DefaultToolbarContent, ToolbarItem } from 'tldraw'
+import type { ComponentProps } from 'react'
+
+export function DocumentToolbar(props: ComponentProps<typeof DefaultToolbar>) {
+  return (
+    <DefaultToolbar {...props}>
+      <ToolbarItem tool="text-highlight" />
+      <DefaultToolbarContent />
+    </DefaultToolbar>
+  )
+}
@@ -0,0 +1,43 @@
+// "Export PDF" button: the original PDF with the annotations flattened onto it
+
+import { useCallback, useState } from 'react'
+import { useEditor } from 'tldraw'
+import type { PageGeometry } from './pageGeometry.js'
+import { downloadPdf, exportAnnotatedPdf } from './pdfExport'
+
+interface ExportPdfButtonProps {
+  getPdf: () => Promise<ArrayBuffer>
+  pages: PageGeometry[]
+  filename: string
+}
+
+export function ExportPdfButton({ getPdf, pages, filename }: ExportPdfButtonProps) {
+  const editor = useEditor()
+  const [exportState, setExportState] = useState<'idle' | 'exporting' | 'error'>('idle')
+
+  const exportPdf = useCallback(async () => {
+    if (exportState === 'exporting') return
+    setExportState('exporting')
+
+    try {
+      const bytes = await exportAnnotatedPdf(editor, await getPdf(), pages)
+      downloadPdf(bytes, filename)
+      setExportState('idle')
+    } catch (e) {
+      console.error('PDF export error:', e)
+      setExportState('error')
+      setTimeout(() => setExportState('idle'), 2000)
+    }
+  }, [editor, exportState, getPdf, pages, filename])
+
+  return (
+    <button
+      onClick={exportPdf}
+      className={`export-btn export-btn--${exportState}`}
+      disabled={exportState === 'exporting'}
+      title="Export annotated PDF"
+    >
+      {exportState === 'exporting' ? 'Exporting…' : 'Export PDF'}
+    </button>
+  )
+}
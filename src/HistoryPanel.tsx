@@ -0,0 +1,131 @@
+// Room history: the sync server's checkpoints, newest first
+// Editors can save a named checkpoint; selecting one shows what changed since,
+// and owners can restore it (the server checkpoints the current state first).
+
+import { useEffect, useState } from 'react'
+import type { RoomRole } from './roomAccess'
+import { createCheckpoint, diffCheckpoint, listCheckpoints, restoreCheckpoint } from './roomHistory'
+import type { Checkpoint, CheckpointDiff } from './roomHistory'
+
+interface HistoryPanelProps {
+  serverUrl: string
+  roomId: string
+  token: string | null
+  role: RoomRole
+}
+
+function formatTime(iso: string) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+// "3 shapes added, 1 changed" from the shape records of a diff
+function describeDiff(diff: CheckpointDiff) {
+  const shapes = (records: CheckpointDiff['added']) => records.filter(r => r.typeName === 'shape').length
+  const parts = [
+    [shapes(diff.added), 'added'],
+    [shapes(diff.removed), 'removed'],
+    [shapes(diff.changed), 'changed'],
+  ].filter(([count]) => count) as [number, string][]
+  if (parts.length === 0) return 'No shape changes since'
+  return parts.map(([count, what], i) => `${count}${i === 0 ? ` shape${count === 1 ? '' : 's'}` : ''} ${what}`).join(', ') + ' since'
+}
+
+export function HistoryPanel({ serverUrl, roomId, token, role }: HistoryPanelProps) {
+  const [open, setOpen] = useState(false)
+  const [checkpoints, setCheckpoints] = useState<Checkpoint[] | null>(null)
+  const [selected, setSelected] = useState<{ id: string; diff: CheckpointDiff | null } | null>(null)
+  const [name, setName] = useState('')
+  const [error, setError] = useState<string | null>(null)
+  const [refresh, setRefresh] = useState(0)
+
+  useEffect(() => {
+    if (!open) return
+    let cancelled = false
+    listCheckpoints(serverUrl, roomId, token)
+      .then(list => { if (!cancelled) setCheckpoints(list) })
+      .catch(e => { if (!cancelled) setError(e.message) })
+    return () => { cancelled = true }
+  }, [open, refresh, serverUrl, roomId, token])
+
+  async function run(action: () => Promise<unknown>) {
+    try {
+      setError(null)
+      await action()
+    } catch (e) {
+      console.error('History request failed:', e)
+      setError(e instanceof Error ? e.message : String(e))
+    }
+  }
+
+  const save = () => run(async () => {
+    await createCheckpoint(serverUrl, roomId, token, name)
+    setName('')
+    setRefresh(n => n + 1)
+  })
+
+  const select = (id: string) => run(async () => {
+    if (selected?.id === id) {
+      setSelected(null)
+      return
+    }
+    setSelected({ id, diff: null })
+    const diff = await diffCheckpoint(serverUrl, roomId, token, id)
+    setSelected(current => current?.id === id ? { id, diff } : current)
+  })
+
+  const restore = (checkpoint: Checkpoint) => run(async () => {
+    const label = checkpoint.name || formatTime(checkpoint.createdAt)
+    if (!window.confirm(`Restore the room to "${label}" for everyone? The current state is kept as a checkpoint.`)) return
+    await restoreCheckpoint(serverUrl, roomId, token, checkpoint.id)
+    setSelected(null)
+    setRefresh(n => n + 1)
+  })
+
+  return (
+    <>
+      <button className="link-btn" onClick={() => setOpen(!open)} aria-expanded={open}>
+        History
+      </button>
+      {open && (
+        <div className="HistoryPanel">
+          {role !== 'viewer' && (
+            <form className="history-save" onSubmit={e => { e.preventDefault(); save() }}>
+              <input
+                value={name}
+                onChange={e => setName(e.target.value)}
+                placeholder="Checkpoint name"
+                aria-label="Checkpoint name"
+              />
+              <button type="submit" className="link-btn">Save</button>
+            </form>
+          )}
+          {error && <div className="history-error">{error}</div>}
+          {checkpoints === null ? (
+            <div className="history-empty">Loading…</div>
+          ) : checkpoints.length === 0 ? (
+            <div className="history-empty">No checkpoints yet</div>
+          ) : (
+            <ul className="history-list">
+              {checkpoints.map(checkpoint => (
+                <li key={checkpoint.id} className={selected?.id === checkpoint.id ? 'selected' : undefined}>
+                  <button className="history-entry" onClick={() => select(checkpoint.id)}>
+                    <span className="history-name">{checkpoint.name || (checkpoint.auto ? 'Automatic' : 'Checkpoint')}</span>
+                    <span className="history-time">{formatTime(checkpoint.createdAt)}</span>
+                  </button>
+                  {selected?.id === checkpoint.id && (
+                    <div className="history-detail">
+                      <span>{selected.diff ? describeDiff(selected.diff) : 'Comparing…'}</span>
+                      {role === 'owner' && (
+                        <button className="link-btn" onClick={() => restore(checkpoint)}>Restore</button>
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </>
+  )
+}
@@ -6,44 +6,12 @@ import {
   stopEventPropagation,
   DefaultColorStyle,
 } from 'tldraw'
+import type { TLDefaultColorStyle } from 'tldraw'
 // Type imports not needed with 'any' approach
 import { useCallback, useRef, useEffect, useState } from 'react'
-import katex from 'katex'
-import 'katex/dist/katex.min.css'
-import { getActiveMacros } from './katexMacros'
-
-
-// Render LaTeX - always returns something, errors shown inline
-function renderMath(text: string): string {
-  const katexOptions = { macros: getActiveMacros(), throwOnError: true }
-
-  // Display math ($$...$$)
-  let result = text.replace(/\$\$([\s\S]+?)\$\$/g, (_, tex) => {
-    try {
-      return katex.renderToString(tex.trim(), { ...katexOptions, displayMode: true })
-    } catch (e: any) {
-      const msg = String(e.message || e || 'parse error').replace(/</g, '&lt;')
-      const escaped = tex.replace(/</g, '&lt;')
-      return `<div style="color:#b91c1c;font-size:11px;background:#fef2f2;padding:6px;border-radius:3px;margin:4px 0"><div>⚠️ ${msg}</div><code style="font-size:10px;color:#666;display:block;margin-top:4px">${escaped}</code></div>`
-    }
-  })
-
-  // Inline math ($...$)
-  result = result.replace(/\$([^$]+)\$/g, (_, tex) => {
-    try {
-      return katex.renderToString(tex.trim(), { ...katexOptions, displayMode: false })
-    } catch {
-      const escaped = tex.replace(/</g, '&lt;')
-      return `<span style="color:#b91c1c;background:#fef2f2;padding:1px 4px;border-radius:2px;font-size:11px">⚠️ ${escaped}</span>`
-    }
-  })
-
-  return result.replace(/\n/g, '<br>')
-}
-
-function hasMath(text: string): boolean {
-  return /\$[^$]+\$/.test(text)
-}
+import { getReplies } from './noteThread'
+import { NoteText, NoteReplies, ReplyBox } from './NoteThreadView'
+import { StatusBadge } from './StatusBadge'
 
 const NOTE_COLORS: Record<string, string> = {
   'yellow': '#fef9c3',
@@ -61,6 +29,13 @@ const NOTE_COLORS: Record<string, string> = {
   'white': '#ffffff',
 }
 
+// Register the shape with tldraw's type system so editor calls are typed
+declare module 'tldraw' {
+  interface TLGlobalShapePropsMap {
+    'math-note': { w: number, h: number, text: string, color: TLDefaultColorStyle }
+  }
+}
+
 export class MathNoteShapeUtil extends BaseBoxShapeUtil<any> {
   static override type = 'math-note' as const
   static override props = {
@@ -93,6 +68,8 @@ export class MathNoteShapeUtil extends BaseBoxShapeUtil<any> {
     const isEditing = editor.getEditingShapeId() === shape.id
     const textareaRef = useRef<HTMLTextAreaElement>(null)
     const [localText, setLocalText] = useState(shape.props.text || '')
+    const isSelected = editor.getOnlySelectedShapeId() === shape.id
+    const replies = getReplies(shape)
 
     const bgColor = NOTE_COLORS[shape.props.color] || NOTE_COLORS.yellow
 
@@ -153,53 +130,41 @@ export class MathNoteShapeUtil extends BaseBoxShapeUtil<any> {
         />
       )
     } else {
-      const text = shape.props.text || ''
-      if (hasMath(text)) {
-        const rendered = renderMath(text)
-        content = (
-          <div
-            style={{
-              padding: '12px',
-              fontSize: '14px',
-              lineHeight: 1.4,
-              overflow: 'auto',
-              height: '100%',
-              boxSizing: 'border-box',
-            }}
-            dangerouslySetInnerHTML={{ __html: rendered }}
-          />
-        )
-      } else {
-        content = (
-          <div style={{
-            padding: '12px',
-            fontSize: '14px',
-            lineHeight: 1.4,
-            whiteSpace: 'pre-wrap',
-            overflow: 'auto',
-            height: '100%',
-            boxSizing: 'border-box',
-          }}>
-            {text}
-          </div>
-        )
-      }
+      content = (
+        <div style={{
+          padding: '12px',
+          fontSize: '14px',
+          lineHeight: 1.4,
+          overflow: 'auto',
+          flex: 1,
+          boxSizing: 'border-box',
+        }}>
+          <NoteText text={shape.props.text || ''} />
+          <NoteReplies replies={replies} />
+        </div>
+      )
     }
 
     return (
-      <HTMLContainer
-        id={shape.id}
-        style={{
-          width: shape.props.w,
-          height: shape.props.h,
-          backgroundColor: bgColor,
-          borderRadius: '4px',
-          boxShadow: '0 1px 3px rgba(0,0,0,0.12), 0 1px 2px rgba(0,0,0,0.24)',
-          pointerEvents: 'all',
-        }}
-      >
-        {content}
-      </HTMLContainer>
+      <>
+        <HTMLContainer
+          id={shape.id}
+          style={{
+            width: shape.props.w,
+            height: shape.props.h,
+            backgroundColor: bgColor,
+            borderRadius: '4px',
+            boxShadow: '0 1px 3px rgba(0,0,0,0.12), 0 1px 2px rgba(0,0,0,0.24)',
+            pointerEvents: 'all',
+            display: 'flex',
+            flexDirection: 'column',
+          }}
+        >
+          {content}
+          {isSelected && !isEditing && <ReplyBox shapeId={shape.id} />}
+        </HTMLContainer>
+        <StatusBadge shape={shape} />
+      </>
     )
   }
 
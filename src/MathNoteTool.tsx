@@ -1,6 +1,8 @@
 import { StateNode, createShapeId, type JsonObject } from 'tldraw'
 import { currentDocumentInfo } from './SvgDocument'
-import { getSourceAnchor, canvasToPdf, type SourceAnchor } from './synctexAnchor'
+import { getSourceAnchor, type SourceAnchor } from './synctexAnchor'
+import { canvasToPdf } from './pageGeometry.js'
+import { newNoteMeta } from './noteThread'
 
 export class MathNoteTool extends StateNode {
   static override id = 'math-note'
@@ -14,10 +16,10 @@ export class MathNoteTool extends StateNode {
     // Try to get source anchor for this position
     let sourceAnchor: SourceAnchor | null = null
     if (currentDocumentInfo) {
-      const pdfPos = canvasToPdf(point.x, point.y, currentDocumentInfo.pages)
+      const pdfPos = canvasToPdf(currentDocumentInfo.pages, point.x, point.y)
       if (pdfPos) {
         sourceAnchor = await getSourceAnchor(
-          currentDocumentInfo.name,
+          currentDocumentInfo.id,
           pdfPos.page,
           pdfPos.x,
           pdfPos.y
@@ -30,7 +32,7 @@ export class MathNoteTool extends StateNode {
       type: 'math-note' as any,
       x: point.x - 100,
       y: point.y - 100,
-      meta: (sourceAnchor ? { sourceAnchor } : {}) as Partial<JsonObject>,
+      meta: { ...newNoteMeta('reviewer'), ...(sourceAnchor ? { sourceAnchor } : {}) } as Partial<JsonObject>,
       props: {
         w: 200,
         h: 200,
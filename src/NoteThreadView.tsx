@@ -0,0 +1,130 @@
+// Rendering for math note threads: note text, replies and the reply box
+
+import { useCallback, useState } from 'react'
+import { stopEventPropagation, useEditor } from 'tldraw'
+import type { TLShape, TLShapeId } from 'tldraw'
+import katex from 'katex'
+import 'katex/dist/katex.min.css'
+import { getActiveMacros } from './katexMacros'
+import { AUTHOR_LABELS, addReply, formatTime, getReplies } from './noteThread'
+import type { NoteMessage } from './noteThread'
+
+const MATH = /\$\$([\s\S]+?)\$\$|\$([^$]+)\$/g
+const ERROR_STYLE = { color: '#b91c1c', background: '#fef2f2', fontSize: '11px' }
+
+// One $$...$$ or $...$ span as KaTeX; errors shown inline
+function MathSpan({ tex, display }: { tex: string, display: boolean }) {
+  let html: string
+  try {
+    // Only KaTeX's own output goes in as HTML; it escapes the TeX it echoes
+    html = katex.renderToString(tex.trim(), { macros: getActiveMacros(), throwOnError: true, displayMode: display })
+  } catch (e) {
+    if (!display) {
+      return <span style={{ ...ERROR_STYLE, padding: '1px 4px', borderRadius: '2px' }}>⚠️ {tex}</span>
+    }
+    return (
+      <div style={{ ...ERROR_STYLE, padding: '6px', borderRadius: '3px', margin: '4px 0' }}>
+        <div>⚠️ {String((e as Error)?.message || e || 'parse error')}</div>
+        <code style={{ fontSize: '10px', color: '#666', display: 'block', marginTop: '4px' }}>{tex}</code>
+      </div>
+    )
+  }
+  return display ? <div dangerouslySetInnerHTML={{ __html: html }} /> : <span dangerouslySetInnerHTML={{ __html: html }} />
+}
+
+// Note or reply body: math spans through KaTeX, everything else as plain text
+export function NoteText({ text }: { text: string }) {
+  const parts: React.ReactNode[] = []
+  let last = 0
+  for (const match of text.matchAll(MATH)) {
+    if (match.index > last) parts.push(text.slice(last, match.index))
+    parts.push(<MathSpan key={match.index} tex={match[1] ?? match[2]} display={match[1] !== undefined} />)
+    last = match.index + match[0].length
+  }
+  if (last < text.length) parts.push(text.slice(last))
+  return <div style={{ whiteSpace: 'pre-wrap' }}>{parts}</div>
+}
+
+// Replies under the note text, oldest first
+export function NoteReplies({ replies }: { replies: NoteMessage[] }) {
+  return (
+    <>
+      {replies.map(reply => (
+        <div key={reply.id} style={{ marginTop: '10px', paddingTop: '6px', borderTop: '1px solid rgba(0,0,0,0.1)' }}>
+          <div style={{ fontSize: '11px', color: '#666', marginBottom: '2px' }}>
+            {AUTHOR_LABELS[reply.author] ?? reply.author} · {formatTime(reply.time)}
+          </div>
+          <NoteText text={reply.body} />
+        </div>
+      ))}
+    </>
+  )
+}
+
+// Thread hanging below a native sticky note: its replies and, when selected,
+// the reply box. Laid out at the note's scale-1 width and scaled with it
+export function NoteThreadPanel({ shape, top, width, scale, showReplyBox }: {
+  shape: TLShape
+  top: number
+  width: number
+  scale: number
+  showReplyBox: boolean
+}) {
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        top,
+        left: 0,
+        width,
+        transform: `scale(${scale})`,
+        transformOrigin: 'top left',
+        display: 'flex',
+        flexDirection: 'column',
+        background: 'rgba(255,255,255,0.92)',
+        borderRadius: '0 0 4px 4px',
+        boxShadow: '0 1px 3px rgba(0,0,0,0.12)',
+        fontSize: '13px',
+        lineHeight: 1.4,
+        pointerEvents: 'all',
+      }}
+    >
+      <div style={{ padding: '0 10px 6px' }}>
+        <NoteReplies replies={getReplies(shape)} />
+      </div>
+      {showReplyBox && <ReplyBox shapeId={shape.id} />}
+    </div>
+  )
+}
+
+// Single-line reply input; Enter posts as the reviewer
+export function ReplyBox({ shapeId }: { shapeId: TLShapeId }) {
+  const editor = useEditor()
+  const [text, setText] = useState('')
+
+  const handleKeyDown = useCallback((e: React.KeyboardEvent) => {
+    if (e.key === 'Enter' && text.trim()) {
+      addReply(editor, shapeId, 'reviewer', text.trim())
+      setText('')
+    }
+    stopEventPropagation(e)
+  }, [editor, shapeId, text])
+
+  return (
+    <input
+      value={text}
+      placeholder="Reply…"
+      onChange={(e) => setText(e.target.value)}
+      onKeyDown={handleKeyDown}
+      onPointerDown={stopEventPropagation}
+      style={{
+        margin: '0 8px 8px',
+        padding: '4px 6px',
+        border: '1px solid rgba(0,0,0,0.2)',
+        borderRadius: '3px',
+        background: 'rgba(255,255,255,0.7)',
+        fontSize: '13px',
+      }}
+    />
+  )
+}
@@ -0,0 +1,76 @@
+// Outline tab of the page navigator sidebar
+// Headings indented by level; the section in view is highlighted as the camera
+// moves, and each heading shows how many annotations its section holds.
+
+import { useEffect, useRef } from 'react'
+import { useEditor, useValue } from 'tldraw'
+import type { TLShapeId } from 'tldraw'
+import { countPerSection, currentEntryIndex } from './documentOutline'
+import type { OutlineEntry } from './documentOutline'
+import { scrollToTop } from './locationMarker'
+import type { PageGeometry } from './pageGeometry.js'
+
+const INDENT = 12           // CSS px per outline level
+const READING_LINE = 0.25   // Fraction of the viewport down from its top that counts as "here"
+
+interface OutlineViewProps {
+  outline: OutlineEntry[]
+  geometry: PageGeometry[]
+  pageShapeIds: TLShapeId[]
+}
+
+export function OutlineView({ outline, geometry, pageShapeIds }: OutlineViewProps) {
+  const editor = useEditor()
+  const listRef = useRef<HTMLDivElement>(null)
+
+  const current = useValue('current section', () => {
+    const viewport = editor.getViewportPageBounds()
+    return currentEntryIndex(outline, viewport.y + viewport.h * READING_LINE)
+  }, [editor, outline])
+
+  // Annotation centres bucketed by section; joined into a string so unrelated
+  // store changes don't re-render
+  const countsKey = useValue('section annotation counts', () => {
+    const pageShapes = new Set<string>(pageShapeIds)
+    const ys: number[] = []
+    for (const shape of editor.getCurrentPageShapes()) {
+      if (pageShapes.has(shape.id)) continue
+      const bounds = editor.getShapePageBounds(shape)
+      if (bounds) ys.push(bounds.center.y)
+    }
+    return countPerSection(outline, ys).join(',')
+  }, [editor, outline, pageShapeIds])
+  const counts = countsKey.split(',').map(Number)
+
+  // Keep the highlighted heading visible in the list
+  useEffect(() => {
+    listRef.current?.querySelector('.outline-entry.current')?.scrollIntoView({ block: 'nearest' })
+  }, [current])
+
+  const pageCenter = (page: number) => {
+    const bounds = geometry[page - 1]?.bounds
+    return bounds ? bounds.x + bounds.width / 2 : 0
+  }
+
+  return (
+    <div className="OutlineView" ref={listRef}>
+      {outline.map((entry, i) => (
+        <button
+          key={i}
+          className={`outline-entry${i === current ? ' current' : ''}`}
+          style={{ paddingLeft: 8 + entry.level * INDENT }}
+          onClick={() => scrollToTop(editor, pageCenter(entry.page), entry.y)}
+          title={`${entry.title} (page ${entry.page})`}
+        >
+          <span className="outline-title">{entry.title}</span>
+          {counts[i] > 0 && (
+            <span className="outline-count" title={`${counts[i]} annotation${counts[i] === 1 ? '' : 's'}`}>
+              {counts[i]}
+            </span>
+          )}
+          <span className="outline-page">{entry.page}</span>
+        </button>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,211 @@
+// Page navigation: "page N of M" indicator, go-to-page input, and a collapsible
+// sidebar with thumbnails that mark pages carrying annotations, plus the
+// document outline when there is one.
+// Lives in tldraw's PageMenu slot; thumbnails resolve through the page assets.
+
+import { useEffect, useRef, useState } from 'react'
+import { stopEventPropagation, useEditor, useValue } from 'tldraw'
+import type { Editor, TLAssetId, TLShapeId } from 'tldraw'
+import { OutlineView } from './OutlineView'
+import type { OutlineEntry } from './documentOutline'
+import { scrollToTop } from './locationMarker'
+import { findPageAt } from './pageGeometry.js'
+import { holdPageUrl } from './pdfPageRenderer'
+import type { PageGeometry } from './pageGeometry.js'
+
+const THUMBNAIL_WIDTH = 120 // CSS px
+
+interface NavigatorPage {
+  assetId: TLAssetId
+  shapeId: TLShapeId
+}
+
+interface PageNavigatorProps {
+  pages: NavigatorPage[]
+  geometry: PageGeometry[]
+  outline: OutlineEntry[]
+}
+
+// Scroll so a page's top sits at the top of the viewport, keeping the zoom
+function goToPage(editor: Editor, geometry: PageGeometry[], page: number) {
+  const target = geometry[Math.min(Math.max(page, 1), geometry.length) - 1]
+  if (!target) return
+  scrollToTop(editor, target.bounds.x + target.bounds.width / 2, target.bounds.y)
+}
+
+function isTyping(target: EventTarget | null) {
+  return target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA'].includes(target.tagName))
+}
+
+export function PageNavigator({ pages, geometry, outline }: PageNavigatorProps) {
+  const editor = useEditor()
+  const [open, setOpen] = useState(false)
+  const [tab, setTab] = useState<'pages' | 'outline'>('pages')
+  const [pageInput, setPageInput] = useState<string | null>(null)
+  const pageCount = geometry.length
+
+  const current = useValue('current page', () => {
+    const viewport = editor.getViewportPageBounds()
+    return findPageAt(geometry, viewport.center.y)?.page ?? 1
+  }, [editor, geometry])
+
+  // Pages with at least one shape on them other than the page image itself;
+  // joined into a string so unrelated store changes don't re-render
+  const annotatedKey = useValue('annotated pages', () => {
+    const pageShapes = new Set<string>(pages.map(p => p.shapeId))
+    const annotated = new Set<number>()
+    for (const shape of editor.getCurrentPageShapes()) {
+      if (pageShapes.has(shape.id)) continue
+      const bounds = editor.getShapePageBounds(shape)
+      const page = bounds && findPageAt(geometry, bounds.center.y)
+      if (page) annotated.add(page.page)
+    }
+    return [...annotated].sort((a, b) => a - b).join(',')
+  }, [editor, pages, geometry])
+  const annotated = new Set(annotatedKey ? annotatedKey.split(',').map(Number) : [])
+
+  // PageUp / PageDown / Home / End, unless typing somewhere
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (isTyping(e.target) || editor.getEditingShapeId()) return
+      const page = findPageAt(geometry, editor.getViewportPageBounds().center.y)?.page ?? 1
+      const targets: Record<string, number> = {
+        PageDown: page + 1,
+        PageUp: page - 1,
+        Home: 1,
+        End: geometry.length,
+      }
+      if (!(e.key in targets)) return
+      e.preventDefault()
+      goToPage(editor, geometry, targets[e.key])
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [editor, geometry])
+
+  function submitPage() {
+    const page = parseInt(pageInput ?? '', 10)
+    if (!isNaN(page)) goToPage(editor, geometry, page)
+    setPageInput(null)
+  }
+
+  return (
+    <div className="PageNavigator" onPointerDown={stopEventPropagation}>
+      <div className="page-bar">
+        <button
+          className="page-toggle"
+          onClick={() => setOpen(!open)}
+          aria-label={open ? 'Hide sidebar' : 'Show sidebar'}
+          aria-expanded={open}
+        >
+          ☰
+        </button>
+        <span>Page</span>
+        <input
+          className="page-input"
+          inputMode="numeric"
+          value={pageInput ?? String(current)}
+          onFocus={(e) => {
+            setPageInput(String(current))
+            e.target.select()
+          }}
+          onChange={(e) => setPageInput(e.target.value)}
+          onBlur={() => setPageInput(null)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submitPage()
+            if (e.key === 'Escape') (e.target as HTMLInputElement).blur()
+            stopEventPropagation(e)
+          }}
+        />
+        <span>of {pageCount}</span>
+      </div>
+
+      {open && (
+        <div className="page-sidebar">
+          {outline.length > 0 && (
+            <div className="sidebar-tabs" role="tablist">
+              <button role="tab" aria-selected={tab === 'pages'} onClick={() => setTab('pages')}>Pages</button>
+              <button role="tab" aria-selected={tab === 'outline'} onClick={() => setTab('outline')}>Outline</button>
+            </div>
+          )}
+          {tab === 'outline' && outline.length > 0 ? (
+            <OutlineView outline={outline} geometry={geometry} pageShapeIds={pages.map(page => page.shapeId)} />
+          ) : (
+            <div className="page-thumbnails">
+              {pages.map((page, i) => (
+                <PageThumbnail
+                  key={page.assetId}
+                  assetId={page.assetId}
+                  geometry={geometry[i]}
+                  isCurrent={current === i + 1}
+                  isAnnotated={annotated.has(i + 1)}
+                  onClick={() => goToPage(editor, geometry, i + 1)}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+interface PageThumbnailProps {
+  assetId: TLAssetId
+  geometry: PageGeometry
+  isCurrent: boolean
+  isAnnotated: boolean
+  onClick: () => void
+}
+
+// Resolves its image only once scrolled into the sidebar, so opening it
+// doesn't render every page of a long PDF
+function PageThumbnail({ assetId, geometry, isCurrent, isAnnotated, onClick }: PageThumbnailProps) {
+  const editor = useEditor()
+  const ref = useRef<HTMLButtonElement>(null)
+  const [src, setSrc] = useState<string | null>(null)
+
+  useEffect(() => {
+    const element = ref.current
+    if (!element) return
+    let cancelled = false
+    let release: (() => void) | null = null
+
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries.some(entry => entry.isIntersecting)) return
+      observer.disconnect()
+      editor.resolveAssetUrl(assetId, { screenScale: THUMBNAIL_WIDTH / geometry.bounds.width })
+        .then(url => {
+          if (cancelled || !url) return
+          // A PDF page's render may be evicted from the canvas while it's shown here
+          release = holdPageUrl(url)
+          setSrc(url)
+        })
+        .catch(e => console.error(`Thumbnail for page ${geometry.page} failed:`, e))
+    }, { rootMargin: '200px' })
+    observer.observe(element)
+
+    return () => {
+      cancelled = true
+      observer.disconnect()
+      release?.()
+    }
+  }, [editor, assetId, geometry])
+
+  const height = THUMBNAIL_WIDTH * geometry.bounds.height / geometry.bounds.width
+
+  return (
+    <button
+      ref={ref}
+      className={`page-thumbnail${isCurrent ? ' current' : ''}`}
+      onClick={onClick}
+      title={`Page ${geometry.page}${isAnnotated ? ' (annotated)' : ''}`}
+    >
+      <div className="thumbnail-image" style={{ width: THUMBNAIL_WIDTH, height }}>
+        {src && <img src={src} alt="" draggable={false} />}
+        {isAnnotated && <span className="annotated-dot" />}
+      </div>
+      <span className="thumbnail-label">{geometry.page}</span>
+    </button>
+  )
+}
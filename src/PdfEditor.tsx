@@ -1,4 +1,4 @@
-import { useMemo } from 'react'
+import { useCallback, useEffect, useMemo } from 'react'
 import {
   Box,
   SVGContainer,
@@ -9,9 +9,24 @@ import {
   track,
   useEditor,
 } from 'tldraw'
-import type { TLComponents, TLImageShape, TLShapePartial, Editor, TLShape } from 'tldraw'
+import type { TLComponents, TLImageShape, TLShapePartial, TLUiOverrides, Editor, TLShape } from 'tldraw'
 import 'tldraw/tldraw.css'
 import type { Pdf } from './PdfPicker'
+import { ExportPdfButton } from './ExportPdfButton'
+import { pdfAssetStore } from './pdfPageRenderer'
+import { DocumentToolbar } from './DocumentToolbar'
+import { SearchPanel } from './SearchPanel'
+import { PageNavigator } from './PageNavigator'
+import { TextHighlightShapeUtil } from './TextHighlightShape'
+import { TextHighlightTool, withTextHighlightTool } from './TextHighlightTool'
+import { setActiveTextLayer } from './textLayer'
+import { CollaboratorViewports } from './CollaboratorViewports'
+import { YjsSyncProvider } from './YjsSyncProvider'
+import { RoomControls } from './RoomControls'
+import { SYNC_SERVER, roomTokenFromUrl, roomTokenRole } from './roomAccess'
+import { shareRoomPdf } from './roomPdf'
+
+const EVICT_DISTANCE = 3 // Viewport heights
 
 interface PdfEditorProps {
   pdf: Pdf
@@ -21,22 +36,50 @@ interface PdfEditorProps {
 export function PdfEditor({ pdf, roomId }: PdfEditorProps) {
   const components = useMemo<TLComponents>(
     () => ({
-      PageMenu: null,
+      PageMenu: () => <PageNavigator pages={pdf.pages} geometry={pdf.geometry} outline={pdf.outline} />,
       Overlays: () => <PageOverlayScreen pdf={pdf} />,
-      SharePanel: () => <RoomInfo roomId={roomId} />,
+      SharePanel: () => <RoomInfo roomId={roomId} pdf={pdf} />,
+      Toolbar: (props) => <DocumentToolbar {...props} />,
+      TopPanel: () => <SearchPanel textLayer={pdf.textLayer} />,
+      OnTheCanvas: CollaboratorViewports,
     }),
     [pdf, roomId]
   )
 
+  const assets = useMemo(() => pdfAssetStore(pdf), [pdf])
+  const shapeUtils = useMemo(() => [TextHighlightShapeUtil], [])
+  const tools = useMemo(() => [TextHighlightTool], [])
+  const overrides = useMemo<TLUiOverrides>(() => ({ tools: withTextHighlightTool }), [])
+  useEffect(() => () => pdf.renderer.dispose(), [pdf])
+
+  // Put the PDF on the sync server so whoever joins the room can open it
+  useEffect(() => {
+    const token = roomTokenFromUrl()
+    if (roomTokenRole(token) === 'viewer') return
+    shareRoomPdf(SYNC_SERVER, roomId, token, pdf).catch(e => {
+      console.warn('[PdfEditor] Could not share the PDF with the room:', e)
+    })
+  }, [pdf, roomId])
+
   return (
     <Tldraw
-      onMount={(editor) => setupPdfEditor(editor, pdf)}
+      onMount={(editor) => {
+        setActiveTextLayer(pdf.textLayer)
+        return setupPdfEditor(editor, pdf)
+      }}
       components={components}
-    />
+      assets={assets}
+      shapeUtils={shapeUtils}
+      tools={tools}
+      overrides={overrides}
+    >
+      <YjsSyncProvider roomId={roomId} />
+    </Tldraw>
   )
 }
 
-function setupPdfEditor(editor: Editor, pdf: Pdf) {
+// Returns a function that stops its reactions
+function setupPdfEditor(editor: Editor, pdf: Pdf): () => void {
   // Check if assets already exist (from sync)
   const existingAssets = editor.getAssets()
   const hasAssets = existingAssets.some(a => a.props && 'name' in a.props && a.props.name === 'page')
@@ -77,6 +120,9 @@ function setupPdfEditor(editor: Editor, pdf: Pdf) {
         })
       )
     )
+
+    // Markup already in the PDF, on top of the pages
+    editor.createShapes(pdf.annotations)
   }
 
   const shapeIds = pdf.pages.map((page) => page.shapeId)
@@ -151,7 +197,7 @@ function setupPdfEditor(editor: Editor, pdf: Pdf) {
 
   let isMobile = editor.getViewportScreenBounds().width < 840
 
-  react('update camera', () => {
+  const stopCameraUpdates = react('update camera', () => {
     const isMobileNow = editor.getViewportScreenBounds().width < 840
     if (isMobileNow === isMobile) return
     isMobile = isMobileNow
@@ -159,6 +205,22 @@ function setupPdfEditor(editor: Editor, pdf: Pdf) {
   })
 
   updateCameraBounds(isMobile)
+
+  // Free rendered pages once they're a few screens away from the viewport
+  const stopEviction = react('evict far pages', () => {
+    const viewport = editor.getViewportPageBounds()
+    const nearby = viewport.clone().expandBy(viewport.h * EVICT_DISTANCE)
+    const keep = new Set<number>()
+    pdf.pages.forEach((page, i) => {
+      if (nearby.collides(page.bounds)) keep.add(i)
+    })
+    pdf.renderer.evict(keep)
+  })
+
+  return () => {
+    stopCameraUpdates()
+    stopEviction()
+  }
 }
 
 const PageOverlayScreen = track(function PageOverlayScreen({ pdf }: { pdf: Pdf }) {
@@ -201,10 +263,15 @@ const PageOverlayScreen = track(function PageOverlayScreen({ pdf }: { pdf: Pdf }
   )
 })
 
-function RoomInfo({ roomId }: { roomId: string }) {
+function RoomInfo({ roomId, pdf }: { roomId: string; pdf: Pdf }) {
+  const getPdf = useCallback(async () => pdf.source, [pdf])
+  const filename = pdf.name.replace(/\.pdf$/i, '') + '-annotated.pdf'
+
   return (
     <div className="RoomInfo">
       <span className="room-id">Room: {roomId}</span>
+      <RoomControls roomId={roomId} />
+      <ExportPdfButton getPdf={getPdf} pages={pdf.geometry} filename={filename} />
     </div>
   )
 }
@@ -1,6 +1,16 @@
 import { useState } from 'react'
 import { AssetRecordType, Box, createShapeId } from 'tldraw'
-import type { TLAssetId, TLShapeId } from 'tldraw'
+import type { TLAssetId, TLShapeId, TLShapePartial } from 'tldraw'
+import { digest } from 'lib0/hash/sha256'
+import { toHexString } from 'lib0/buffer'
+import type { PageGeometry } from './pageGeometry.js'
+import { annotationShapes } from './pdfImport'
+import { pdfOutline } from './documentOutline'
+import type { OutlineEntry } from './documentOutline'
+import { createPageRenderer } from './pdfPageRenderer'
+import type { PageRenderer } from './pdfPageRenderer'
+import { pdfTextLayer } from './textLayer'
+import type { TextLayer } from './textLayer'
 
 export interface PdfPage {
   src: string
@@ -11,64 +21,96 @@ export interface PdfPage {
 
 export interface Pdf {
   name: string
+  hash: string                    // SHA-256 of the file, hex
   pages: PdfPage[]
+  geometry: PageGeometry[]
+  annotations: TLShapePartial[]   // The PDF's own annotations, as shapes
+  outline: OutlineEntry[]
   source: ArrayBuffer
+  renderer: PageRenderer
+  textLayer: TextLayer
 }
 
 const pageSpacing = 32
+const visualScale = 1.5 // Canvas units per PDF point
+
+// Blank page of the right size, shown until the real one is rendered
+function placeholderSrc(width: number, height: number): string {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="100%" height="100%" fill="white"/></svg>`
+  return 'data:image/svg+xml,' + encodeURIComponent(svg)
+}
 
 export async function loadPdf(name: string, source: ArrayBuffer): Promise<Pdf> {
+  // Record IDs follow from the file's content, so everyone who opens the same
+  // PDF in a room gets the same pages and imported annotations. Page IDs keep
+  // "-page-" so sync leaves them out (see useYjsSync); each client makes its own.
+  const hash = toHexString(digest(new Uint8Array(source)))
+  const idPrefix = `pdf-${hash.slice(0, 16)}`
+
   const PdfJS = await import('pdfjs-dist')
   PdfJS.GlobalWorkerOptions.workerSrc = new URL(
     'pdfjs-dist/build/pdf.worker.min.mjs',
     import.meta.url
   ).toString()
 
-  const pdf = await PdfJS.getDocument(source.slice(0)).promise
-  const pages: PdfPage[] = []
-
-  const canvas = window.document.createElement('canvas')
-  const context = canvas.getContext('2d')
-  if (!context) throw new Error('Failed to create canvas context')
+  const document = await PdfJS.getDocument(source.slice(0)).promise
 
-  const visualScale = 1.5
-  const scale = window.devicePixelRatio
+  // Only sizes and annotations up front, asked of every page at once rather than
+  // one page after another; page images are rendered on demand (see pdfPageRenderer)
+  const loaded = await Promise.all(Array.from({ length: document.numPages }, async (_, i) => {
+    const page = await document.getPage(i + 1)
+    const annotations: Parameters<typeof annotationShapes>[0] = await page.getAnnotations()
+    const result = { viewport: page.getViewport({ scale: visualScale }), size: page.getViewport({ scale: 1 }), annotations }
+    page.cleanup()
+    return result
+  }))
 
+  const pages: PdfPage[] = []
   let top = 0
   let widest = 0
-  for (let i = 1; i <= pdf.numPages; i++) {
-    const page = await pdf.getPage(i)
-    const viewport = page.getViewport({ scale: scale * visualScale })
-    canvas.width = viewport.width
-    canvas.height = viewport.height
-    await page.render({
-      canvasContext: context,
-      viewport,
-      // eslint-disable-next-line @typescript-eslint/no-explicit-any
-    } as any).promise
-
-    const width = viewport.width / scale
-    const height = viewport.height / scale
+  loaded.forEach(({ viewport: { width, height } }, i) => {
     pages.push({
-      src: canvas.toDataURL(),
+      src: placeholderSrc(width, height),
       bounds: new Box(0, top, width, height),
-      assetId: AssetRecordType.createId(),
-      shapeId: createShapeId(),
+      assetId: AssetRecordType.createId(`${idPrefix}-page-${i}`),
+      shapeId: createShapeId(`${idPrefix}-page-${i}`),
     })
     top += height + pageSpacing
     widest = Math.max(widest, width)
-  }
-  canvas.width = 0
-  canvas.height = 0
+  })
 
   for (const page of pages) {
     page.bounds.x = (widest - page.bounds.width) / 2
   }
 
+  // Same shape as the SVG documents' geometry, so annotations map back onto PDF points
+  const geometry: PageGeometry[] = pages.map((page, i) => ({
+    page: i + 1,
+    origin: { x: 0, y: 0 },
+    width: loaded[i].size.width,
+    height: loaded[i].size.height,
+    bounds: { x: page.bounds.x, y: page.bounds.y, width: page.bounds.w, height: page.bounds.h },
+  }))
+
+  const annotations = pages.flatMap((page, i) =>
+    annotationShapes(loaded[i].annotations, loaded[i].viewport, page.bounds, `${idPrefix}-p${i}`)
+  )
+
+  const outline = await pdfOutline(document, geometry).catch(e => {
+    console.warn('Could not read the PDF outline:', e)
+    return []
+  })
+
   return {
     name,
+    hash,
     pages,
+    geometry,
+    annotations,
+    outline,
     source,
+    renderer: createPageRenderer(document, visualScale),
+    textLayer: pdfTextLayer(document, pages.map(page => ({ x: page.bounds.x, y: page.bounds.y, w: page.bounds.w, h: page.bounds.h })), visualScale),
   }
 }
 
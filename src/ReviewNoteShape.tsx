@@ -0,0 +1,31 @@
+// Native sticky notes with a review status badge and their reply thread
+
+import { NoteShapeUtil } from 'tldraw'
+import type { TLNoteShape } from 'tldraw'
+import { StatusBadge } from './StatusBadge'
+import { NoteThreadPanel } from './NoteThreadView'
+import { getReplies } from './noteThread'
+
+const NOTE_SIZE = 200 // tldraw's sticky note size at scale 1
+
+export class ReviewNoteShapeUtil extends NoteShapeUtil {
+  override component(shape: TLNoteShape) {
+    const isSelected = this.editor.getOnlySelectedShapeId() === shape.id
+    const showThread = getReplies(shape).length > 0 || isSelected
+    return (
+      <>
+        {super.component(shape)}
+        <StatusBadge shape={shape} />
+        {showThread && (
+          <NoteThreadPanel
+            shape={shape}
+            top={(NOTE_SIZE + shape.props.growY) * shape.props.scale}
+            width={NOTE_SIZE}
+            scale={shape.props.scale}
+            showReplyBox={isSelected}
+          />
+        )}
+      </>
+    )
+  }
+}
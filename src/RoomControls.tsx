@@ -0,0 +1,24 @@
+// Collaboration controls for the share panel: who's here, share links for
+// owners, and the room's history
+
+import { PeopleMenu } from 'tldraw'
+import { SYNC_SERVER, roomTokenFromUrl, roomTokenRole } from './roomAccess'
+import { ShareLinkButtons } from './ShareLinkButtons'
+import { HistoryPanel } from './HistoryPanel'
+
+export function RoomControls({ roomId }: { roomId: string }) {
+  const token = roomTokenFromUrl()
+  // No token: a development server, where everyone is an owner
+  const role = token ? roomTokenRole(token) ?? 'viewer' : 'owner'
+
+  return (
+    <>
+      {/* Collaborators in the room, with follow; renders nothing when alone */}
+      <PeopleMenu />
+      {token && role === 'owner' && (
+        <ShareLinkButtons serverUrl={SYNC_SERVER} roomId={roomId} ownerToken={token} />
+      )}
+      <HistoryPanel serverUrl={SYNC_SERVER} roomId={roomId} token={token} role={role} />
+    </>
+  )
+}
@@ -0,0 +1,111 @@
+// Search box over the document text; results jump to the hit like the
+// forward-sync "highlight" message does
+
+import { useEffect, useRef, useState } from 'react'
+import { stopEventPropagation, useEditor } from 'tldraw'
+import { searchDocument } from './documentSearch'
+import type { SearchHit } from './documentSearch'
+import { jumpToPoint } from './locationMarker'
+import type { TextLayer } from './textLayer'
+
+const SEARCH_DELAY = 200 // ms after the last keystroke
+
+export function SearchPanel({ textLayer }: { textLayer: TextLayer }) {
+  const editor = useEditor()
+  const inputRef = useRef<HTMLInputElement>(null)
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState<SearchHit[]>([])
+  const [searching, setSearching] = useState(false)
+  const [current, setCurrent] = useState(-1)
+
+  // Results of the last search; an empty box shows none
+  const hits = query.trim() ? results : []
+
+  useEffect(() => {
+    if (!query.trim()) return
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      setSearching(true)
+      const found = await searchDocument(textLayer, query)
+      if (cancelled) return
+      setResults(found)
+      setCurrent(-1)
+      setSearching(false)
+    }, SEARCH_DELAY)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query, textLayer])
+
+  // Cmd/Ctrl+F focuses the search box instead of the browser's find
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'f' && (e.metaKey || e.ctrlKey)) {
+        e.preventDefault()
+        inputRef.current?.focus()
+        inputRef.current?.select()
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  function goTo(index: number) {
+    const hit = hits[index]
+    if (!hit) return
+    setCurrent(index)
+    jumpToPoint(editor, { x: hit.box.x + hit.box.w / 2, y: hit.box.y + hit.box.h / 2 })
+  }
+
+  function handleKeyDown(e: React.KeyboardEvent) {
+    if (e.key === 'Enter' && hits.length) {
+      // Enter / Shift+Enter step through the hits
+      const step = e.shiftKey ? -1 : 1
+      goTo((current + step + hits.length) % hits.length)
+    } else if (e.key === 'Escape') {
+      setQuery('')
+      inputRef.current?.blur()
+    }
+    stopEventPropagation(e)
+  }
+
+  let status = ''
+  if (query.trim()) {
+    if (searching) status = 'Searching…'
+    else status = hits.length ? `${current + 1 || '–'} / ${hits.length}` : 'No matches'
+  }
+
+  return (
+    <div className="SearchPanel" onPointerDown={stopEventPropagation}>
+      <div className="search-bar">
+        <input
+          ref={inputRef}
+          type="search"
+          value={query}
+          placeholder="Search document…"
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+        {status && <span className="search-status">{status}</span>}
+      </div>
+      {hits.length > 0 && (
+        <ul className="search-results">
+          {hits.map((hit, i) => (
+            <li
+              key={i}
+              className={i === current ? 'current' : undefined}
+              onClick={() => goTo(i)}
+            >
+              <span className="search-page">p. {hit.page}</span>
+              <span className="search-snippet">
+                {hit.snippet.before}<mark>{hit.snippet.match}</mark>{hit.snippet.after}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,61 @@
+// Owner-only buttons that copy a link to the room for a commenter or a viewer
+
+import { useState } from 'react'
+import { createShareLink } from './roomAccess'
+import { copyText } from './clipboard'
+
+interface ShareLinkButtonsProps {
+  serverUrl: string
+  roomId: string
+  ownerToken: string
+}
+
+type LinkRole = 'commenter' | 'viewer'
+
+const LABELS: Record<LinkRole, string> = {
+  commenter: 'Comment link',
+  viewer: 'View link',
+}
+
+export function ShareLinkButtons({ serverUrl, roomId, ownerToken }: ShareLinkButtonsProps) {
+  const [copied, setCopied] = useState<LinkRole | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  async function copyLink(role: LinkRole) {
+    let link: string
+    try {
+      link = await createShareLink(serverUrl, roomId, ownerToken, role)
+    } catch (e) {
+      console.error('Share link failed:', e)
+      setError(e instanceof Error ? e.message : String(e))
+      return
+    }
+    setError(null)
+
+    try {
+      await copyText(link)
+      setCopied(role)
+      setTimeout(() => setCopied(null), 1500)
+    } catch (e) {
+      // The click's user gesture may be used up by the time the link arrives;
+      // show the link so it can be copied by hand
+      console.warn('Copying the share link failed:', e)
+      window.prompt(`${LABELS[role]} for this room:`, link)
+    }
+  }
+
+  return (
+    <>
+      {(['viewer', 'commenter'] as const).map(role => (
+        <button
+          key={role}
+          className="link-btn"
+          onClick={() => copyLink(role)}
+          title={error ?? `Copy a link that opens this room as a ${role}`}
+        >
+          {copied === role ? 'Copied' : LABELS[role]}
+        </button>
+      ))}
+    </>
+  )
+}
@@ -0,0 +1,38 @@
+// Status pill on notes; tap to cycle open → addressed → won't fix
+
+import { stopEventPropagation, useEditor } from 'tldraw'
+import type { TLShape } from 'tldraw'
+import { STATUS_COLORS, STATUS_LABELS, getStatus, nextStatus, setStatus } from './annotationStatus'
+
+export function StatusBadge({ shape }: { shape: TLShape }) {
+  const editor = useEditor()
+  const status = getStatus(shape)
+  const comment = shape.meta.statusComment as string | null | undefined
+
+  return (
+    <div
+      title={comment || 'Change status'}
+      onPointerDown={(e) => {
+        stopEventPropagation(e)
+        setStatus(editor, shape.id, nextStatus(status), 'reviewer')
+      }}
+      style={{
+        position: 'absolute',
+        top: -10,
+        right: 8,
+        padding: '1px 8px',
+        borderRadius: '9px',
+        background: STATUS_COLORS[status],
+        color: 'white',
+        fontSize: '11px',
+        fontFamily: 'sans-serif',
+        lineHeight: '18px',
+        whiteSpace: 'nowrap',
+        cursor: 'pointer',
+        pointerEvents: 'all',
+      }}
+    >
+      {STATUS_LABELS[status]}
+    </div>
+  )
+}
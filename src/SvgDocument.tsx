@@ -8,35 +8,42 @@ import {
   react,
   sortByIndex,
   useEditor,
-  DefaultToolbar,
 } from 'tldraw'
 import type { TLComponents, TLImageShape, TLShapePartial, Editor, TLShape, TLAssetId, TLShapeId } from 'tldraw'
 import 'tldraw/tldraw.css'
 import { MathNoteShapeUtil } from './MathNoteShape'
+import { ReviewNoteShapeUtil } from './ReviewNoteShape'
 import { MathNoteTool } from './MathNoteTool'
+import { ExportPdfButton } from './ExportPdfButton'
+import { svgPageAssetStore } from './svgPageAssets'
+import { DocumentToolbar } from './DocumentToolbar'
+import { SearchPanel } from './SearchPanel'
+import { PageNavigator } from './PageNavigator'
+import { TextHighlightShapeUtil } from './TextHighlightShape'
+import { TextHighlightTool, withTextHighlightTool } from './TextHighlightTool'
+import { setActiveTextLayer, svgTextLayer } from './textLayer'
+import type { TextLayer } from './textLayer'
+import { addReply, newNoteMeta } from './noteThread'
+import { ANNOTATION_STATUSES, setStatus } from './annotationStatus'
+import { jumpToPoint } from './locationMarker'
 import { setActiveMacros } from './katexMacros'
-// import { useYjsSync } from './useYjsSync'
-
-// Sync server URL - use env var for production, localhost for dev
-// const SYNC_SERVER = import.meta.env.VITE_SYNC_SERVER || 'ws://localhost:5176'
+import { latexOutline } from './documentOutline'
+import type { ManifestOutlineEntry, OutlineEntry } from './documentOutline'
+import { layoutPages, parseSvgViewBox } from './pageGeometry.js'
+import type { PageGeometry } from './pageGeometry.js'
+import { CollaboratorViewports } from './CollaboratorViewports'
+import { YjsSyncProvider } from './YjsSyncProvider'
+import { RoomControls } from './RoomControls'
 
 // Global document info for synctex anchoring
 export let currentDocumentInfo: {
+  id: string                                // Manifest key, used by the synctex server
   name: string
-  pages: Array<{ bounds: { x: number, y: number, width: number, height: number }, width: number, height: number }>
+  pages: PageGeometry[]
 } | null = null
 
-// Inner component to set up Yjs sync (needs useEditor context)
-// TEMPORARILY DISABLED - debugging crash
-function YjsSyncProvider({ roomId }: { roomId: string }) {
-  console.log('[Yjs] Sync disabled for debugging, room:', roomId)
-  // const editor = useEditor()
-  // useYjsSync({ editor, roomId, serverUrl: SYNC_SERVER })
-  return null
-}
-
-interface SvgPage {
-  src: string
+export interface SvgPage {
+  src: string                               // Page URL
   bounds: Box
   assetId: TLAssetId
   shapeId: TLShapeId
@@ -44,9 +51,14 @@ interface SvgPage {
   height: number
 }
 
-interface SvgDocument {
+export interface SvgDocument {
+  id: string
   name: string
   pages: SvgPage[]
+  geometry: PageGeometry[]
+  pdfUrl?: string                           // Same pages as a PDF, for the annotated export
+  textLayer: TextLayer
+  outline: OutlineEntry[]
   macros?: Record<string, string>
 }
 
@@ -55,29 +67,21 @@ interface SvgDocumentEditorProps {
   roomId: string
 }
 
-const pageSpacing = 32
-
-export async function loadSvgDocument(name: string, svgUrls: string[]): Promise<SvgDocument> {
-  // Fetch all SVGs in parallel
-  console.log(`Loading ${svgUrls.length} SVG pages...`)
-
+export async function loadSvgDocument(
+  id: string,
+  name: string,
+  svgUrls: string[],
+  manifestGeometry?: PageGeometry[],
+  pdfUrl?: string,
+  manifestOutline?: ManifestOutlineEntry[]
+): Promise<SvgDocument> {
   // Derive macros.json path from first SVG URL
   const basePath = svgUrls[0].replace(/page-\d+\.svg$/, '')
   const macrosUrl = basePath + 'macros.json'
 
-  // Fetch SVGs and macros in parallel
-  const [svgTexts, macrosData] = await Promise.all([
-    Promise.all(
-      svgUrls.map(async (url) => {
-        const response = await fetch(url)
-        if (!response.ok) throw new Error(`Failed to fetch ${url}`)
-        return response.text()
-      })
-    ),
-    fetch(macrosUrl)
-      .then(r => r.ok ? r.json() : null)
-      .catch(() => null)
-  ])
+  const macrosData = await fetch(macrosUrl)
+    .then(r => r.ok ? r.json() : null)
+    .catch(() => null)
 
   // Set active macros if loaded
   if (macrosData?.macros) {
@@ -85,78 +89,49 @@ export async function loadSvgDocument(name: string, svgUrls: string[]): Promise<
     setActiveMacros(macrosData.macros)
   }
 
-  console.log('All SVGs fetched, processing...')
-
-  const pages: SvgPage[] = []
-  let top = 0
-  let widest = 0
-
-  for (let i = 0; i < svgTexts.length; i++) {
-    const svgText = svgTexts[i]
-
-    // Parse SVG to get dimensions
-    const parser = new DOMParser()
-    const doc = parser.parseFromString(svgText, 'image/svg+xml')
-    const svgEl = doc.querySelector('svg')
-
-    let width = 600
-    let height = 800
-
-    if (svgEl) {
-      // Try to get dimensions from viewBox or width/height attributes
-      const viewBox = svgEl.getAttribute('viewBox')
-      const widthAttr = svgEl.getAttribute('width')
-      const heightAttr = svgEl.getAttribute('height')
-
-      if (viewBox) {
-        const parts = viewBox.split(/\s+/)
-        if (parts.length === 4) {
-          width = parseFloat(parts[2]) || width
-          height = parseFloat(parts[3]) || height
-        }
-      }
-
-      if (widthAttr) {
-        const w = parseFloat(widthAttr)
-        if (!isNaN(w)) width = w
-      }
-      if (heightAttr) {
-        const h = parseFloat(heightAttr)
-        if (!isNaN(h)) height = h
-      }
-    }
-
-    // Scale to reasonable size (target ~800px wide)
-    const scale = 800 / width
-    width = width * scale
-    height = height * scale
+  // Layout comes from the manifest when the build recorded it; older builds
+  // need every page fetched up front to read its size
+  let geometry = manifestGeometry
+  if (geometry?.length !== svgUrls.length) {
+    console.warn('No page geometry in the manifest, fetching all pages for their sizes')
+    const svgTexts = await Promise.all(
+      svgUrls.map(async (url) => {
+        const response = await fetch(url)
+        if (!response.ok) throw new Error(`Failed to fetch ${url}`)
+        return response.text()
+      })
+    )
+    geometry = layoutPages(svgTexts.map(parseSvgViewBox))
+  }
 
-    // Convert SVG to base64 data URL (TLDraw doesn't accept blob URLs)
-    const dataUrl = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svgText)))
+  const pages: SvgPage[] = svgUrls.map((url, i) => {
+    const { bounds } = geometry[i]
 
     // Use deterministic IDs based on document name + page index
     // This prevents duplicates when Yjs syncs existing shapes
     const pageId = `${name}-page-${i}`
-    pages.push({
-      src: dataUrl,
-      bounds: new Box(0, top, width, height),
+    return {
+      // The page URL, not its contents; the page is fetched when it comes into
+      // view (see svgPageAssets)
+      src: url,
+      bounds: new Box(bounds.x, bounds.y, bounds.width, bounds.height),
       assetId: AssetRecordType.createId(pageId),
       shapeId: createShapeId(pageId),
-      width,
-      height,
-    })
-
-    top += height + pageSpacing
-    widest = Math.max(widest, width)
-  }
+      width: bounds.width,
+      height: bounds.height,
+    }
+  })
 
-  // Center pages
-  for (const page of pages) {
-    page.bounds.x = (widest - page.bounds.width) / 2
+  console.log(`SVG document ready (${pages.length} pages)`)
+  return {
+    id,
+    name,
+    pages,
+    geometry,
+    pdfUrl,
+    textLayer: svgTextLayer(svgUrls, geometry),
+    outline: manifestOutline?.length ? latexOutline(manifestOutline, geometry) : [],
   }
-
-  console.log('SVG document ready')
-  return { name, pages }
 }
 
 export function SvgDocumentEditor({ document, roomId }: SvgDocumentEditorProps) {
@@ -184,34 +159,8 @@ export function SvgDocumentEditor({ document, roomId }: SvgDocumentEditorProps)
         if (data.type === 'highlight') {
           console.log('Received highlight:', data)
 
-          // Scroll to the highlighted location
-          editor.centerOnPoint({ x: data.x, y: data.y }, { animation: { duration: 300 } })
-
-          // Create a temporary highlight shape (unless noMarker is set)
-          if (!data.noMarker) {
-            const markerId = createShapeId()
-            editor.createShape({
-              id: markerId,
-              type: 'geo',
-              x: data.x - 30,
-              y: data.y - 30,
-              props: {
-                geo: 'ellipse',
-                w: 60,
-                h: 60,
-                fill: 'none',
-                color: 'red',
-                size: 'm',
-              },
-            })
-
-            // Remove after 3 seconds
-            setTimeout(() => {
-              if (editor.getShape(markerId)) {
-                editor.deleteShape(markerId)
-              }
-            }, 3000)
-          }
+          // Scroll to the highlighted location, with a temporary marker unless noMarker is set
+          jumpToPoint(editor, { x: data.x, y: data.y }, { marker: !data.noMarker })
         }
 
         // Just scroll, no marker
@@ -225,66 +174,40 @@ export function SvgDocumentEditor({ document, roomId }: SvgDocumentEditorProps)
           // Scroll to the location
           editor.centerOnPoint({ x: data.x, y: data.y }, { animation: { duration: 300 } })
 
-          // Create a note shape (sticky) - TLDraw 4.x uses richText
+          // Math note so LaTeX in the text renders; the MCP server picks the ID
+          // so it can hand it back to the agent for later replies
           editor.createShape({
-            id: createShapeId(),
-            type: 'note',
+            id: (data.id as TLShapeId) || createShapeId(),
+            type: 'math-note',
             x: data.x,
             y: data.y,
+            meta: { ...newNoteMeta('claude'), ...(data.sourceAnchor ? { sourceAnchor: data.sourceAnchor } : {}) },
             props: {
+              w: 200,
+              h: 200,
+              text: data.text || '',
               color: 'violet',  // Purple for Claude
-              size: 'm',
-              font: 'sans',
-              align: 'start',
-              verticalAlign: 'start',
-              richText: {
-                type: 'doc',
-                content: [
-                  {
-                    type: 'paragraph',
-                    content: [{ type: 'text', text: data.text || '' }],
-                  },
-                ],
-              },
             },
           })
         }
 
-        // Reply to an existing note - append with highlight mark
+        // Review status set by the agent
+        if (data.type === 'status') {
+          console.log('Received status:', data)
+          if (ANNOTATION_STATUSES.includes(data.status)) {
+            setStatus(editor, data.shapeId as TLShapeId, data.status, 'claude', typeof data.comment === 'string' ? data.comment : undefined)
+          } else {
+            console.warn('Ignoring unknown status:', data.status)
+          }
+        }
+
+        // Reply to an existing note: add to its thread
         if (data.type === 'reply') {
           console.log('Received reply:', data)
           const targetId = data.shapeId as TLShapeId
           const shape = editor.getShape(targetId)
-
-          if (shape && shape.type === 'note') {
-            const noteShape = shape as TLShape & { props: { richText: { content: unknown[] } } }
-            const existingRichText = noteShape.props.richText
-
-            // Append with highlight mark using TLDraw color name
-            const newContent = [
-              ...existingRichText.content,
-              { type: 'paragraph', content: [] },
-              {
-                type: 'paragraph',
-                content: [{
-                  type: 'text',
-                  text: 'Claude: ' + (data.text || ''),
-                  marks: [{ type: 'highlight', attrs: { color: 'violet' } }]
-                }]
-              }
-            ]
-
-            editor.updateShape({
-              id: targetId,
-              type: 'note',
-              props: {
-                richText: {
-                  type: 'doc',
-                  content: newContent,
-                },
-              },
-            })
-
+          if (shape && (shape.type === 'note' || shape.type === 'math-note')) {
+            addReply(editor, targetId, 'claude', data.text || '')
             editor.centerOnPoint({ x: shape.x, y: shape.y }, { animation: { duration: 300 } })
           }
         }
@@ -308,15 +231,18 @@ export function SvgDocumentEditor({ document, roomId }: SvgDocumentEditorProps)
 
   const components = useMemo<TLComponents>(
     () => ({
-      PageMenu: null,
-      SharePanel: () => <RoomInfo roomId={roomId} name={document.name} />,
-      Toolbar: (props) => <DefaultToolbar {...props} orientation="vertical" />,
+      PageMenu: () => <PageNavigator pages={document.pages} geometry={document.geometry} outline={document.outline} />,
+      SharePanel: () => <RoomInfo roomId={roomId} document={document} />,
+      Toolbar: (props) => <DocumentToolbar {...props} orientation="vertical" />,
+      TopPanel: () => <SearchPanel textLayer={document.textLayer} />,
+      OnTheCanvas: CollaboratorViewports,
     }),
     [document, roomId]
   )
 
-  const shapeUtils = useMemo(() => [MathNoteShapeUtil], [])
-  const tools = useMemo(() => [MathNoteTool], [])
+  const assets = useMemo(() => svgPageAssetStore(document), [document])
+  const shapeUtils = useMemo(() => [MathNoteShapeUtil, ReviewNoteShapeUtil, TextHighlightShapeUtil], [])
+  const tools = useMemo(() => [MathNoteTool, TextHighlightTool], [])
 
   // Override toolbar to replace note with math-note
   const overrides = useMemo(() => ({
@@ -336,7 +262,7 @@ export function SvgDocumentEditor({ document, roomId }: SvgDocumentEditorProps)
           onSelect: () => _editor.setCurrentTool('math-note'),
         }
       }
-      return tools
+      return withTextHighlightTool(_editor, tools)
     },
   }), [])
 
@@ -345,20 +271,20 @@ export function SvgDocumentEditor({ document, roomId }: SvgDocumentEditorProps)
         shapeUtils={shapeUtils}
         tools={tools}
         overrides={overrides}
+        assets={assets}
         onMount={(editor) => {
           // Expose editor for debugging/puppeteer access
           (window as unknown as { __tldraw_editor__: Editor }).__tldraw_editor__ = editor
           editorRef.current = editor
           setupSvgEditor(editor, document)
 
+          setActiveTextLayer(document.textLayer)
+
           // Set global document info for synctex anchoring
           currentDocumentInfo = {
+            id: document.id,
             name: document.name,
-            pages: document.pages.map(p => ({
-              bounds: { x: p.bounds.x, y: p.bounds.y, width: p.bounds.width, height: p.bounds.height },
-              width: p.width,
-              height: p.height
-            }))
+            pages: document.geometry,
           }
 
           // Keyboard shortcut: 'm' for math note
@@ -503,7 +429,7 @@ function setupSvgEditor(editor: Editor, document: SvgDocument) {
   updateCameraBounds(isMobile)
 }
 
-function RoomInfo({ roomId: _roomId, name: _name }: { roomId: string; name: string }) {
+function RoomInfo({ roomId, document }: { roomId: string; document: SvgDocument }) {
   const editor = useEditor()
   const [shareState, setShareState] = useState<'idle' | 'sending' | 'success' | 'error'>('idle')
 
@@ -540,21 +466,34 @@ function RoomInfo({ roomId: _roomId, name: _name }: { roomId: string; name: stri
     }
   }, [editor, shareState, snapshotServerUrl])
 
-  // Don't render share button in production (when no snapshot server configured)
-  if (!snapshotServerUrl) {
-    return null
-  }
+  const { pdfUrl } = document
+  const getPdf = useCallback(async () => {
+    const response = await fetch(pdfUrl!)
+    if (!response.ok) throw new Error(`Failed to fetch ${pdfUrl}`)
+    return response.arrayBuffer()
+  }, [pdfUrl])
 
   return (
     <div className="RoomInfo">
-      <button
-        onClick={shareSnapshot}
-        className={`share-btn share-btn--${shareState}`}
-        disabled={shareState === 'sending'}
-        aria-label="Share"
-      >
-        ✳
-      </button>
+      <RoomControls roomId={roomId} />
+      {pdfUrl && (
+        <ExportPdfButton
+          getPdf={getPdf}
+          pages={document.geometry}
+          filename={`${document.id}-annotated.pdf`}
+        />
+      )}
+      {/* Don't render share button in production (when no snapshot server configured) */}
+      {snapshotServerUrl && (
+        <button
+          onClick={shareSnapshot}
+          className={`share-btn share-btn--${shareState}`}
+          disabled={shareState === 'sending'}
+          aria-label="Share"
+        >
+          ✳
+        </button>
+      )}
     </div>
   )
 }
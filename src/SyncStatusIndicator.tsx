@@ -0,0 +1,27 @@
+// Connection pill for synced rooms: online, syncing, offline (edits kept on
+// this device until the connection comes back), or refused by the server
+
+import type { SyncStatus } from './useYjsSync'
+
+const LABELS: Record<SyncStatus, string> = {
+  online: 'Online',
+  syncing: 'Syncing…',
+  offline: 'Offline',
+  denied: 'No access',
+}
+
+const TITLES: Record<SyncStatus, string> = {
+  online: 'All changes synced',
+  syncing: 'Exchanging changes with the server',
+  offline: 'Not connected; changes are saved on this device and sync when the connection returns',
+  denied: 'The sync server refused this room link (invalid or expired token); changes stay on this device',
+}
+
+export function SyncStatusIndicator({ status }: { status: SyncStatus }) {
+  return (
+    <div className={`SyncStatusIndicator SyncStatusIndicator--${status}`} title={TITLES[status]} role="status">
+      <span className="sync-dot" />
+      {LABELS[status]}
+    </div>
+  )
+}
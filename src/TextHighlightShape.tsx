@@ -0,0 +1,54 @@
+// Highlight snapped to words in the text layer
+// The shape holds one box per highlighted line; the words themselves are kept
+// in meta.text so tools (and the MCP summary) can say exactly what was marked
+
+import { DefaultColorStyle, Rectangle2d, ShapeUtil, T } from 'tldraw'
+import type { TLDefaultColorStyle, TLShape } from 'tldraw'
+import { TextHighlightView } from './TextHighlightView'
+import type { TextBox } from './textLayer'
+
+// Register the shape with tldraw's type system so editor calls are typed
+declare module 'tldraw' {
+  interface TLGlobalShapePropsMap {
+    'text-highlight': { w: number, h: number, color: TLDefaultColorStyle, rects: TextBox[] }
+  }
+}
+
+export type TLTextHighlightShape = TLShape<'text-highlight'>
+
+export class TextHighlightShapeUtil extends ShapeUtil<TLTextHighlightShape> {
+  static override type = 'text-highlight' as const
+  static override props = {
+    w: T.number,
+    h: T.number,
+    color: DefaultColorStyle,
+    rects: T.arrayOf(T.object({ x: T.number, y: T.number, w: T.number, h: T.number })),
+  }
+
+  getDefaultProps(): TLTextHighlightShape['props'] {
+    return { w: 1, h: 1, color: 'yellow', rects: [] }
+  }
+
+  override canEdit = () => false
+  override canResize = () => false
+  override canBind = () => false
+  override hideRotateHandle = () => true
+
+  getGeometry(shape: TLTextHighlightShape) {
+    return new Rectangle2d({ width: shape.props.w, height: shape.props.h, isFilled: true })
+  }
+
+  component(shape: TLTextHighlightShape) {
+    return <TextHighlightView shape={shape} />
+  }
+
+  indicator(shape: TLTextHighlightShape) {
+    return (
+      <>
+        {shape.props.rects.map((r, i) => (
+          <rect key={i} x={r.x} y={r.y} width={r.w} height={r.h} />
+        ))}
+      </>
+    )
+  }
+}
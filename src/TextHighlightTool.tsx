@@ -0,0 +1,167 @@
+import { StateNode, createShapeId } from 'tldraw'
+import type { Editor, TLShapeId, TLUiToolsContextType, VecLike } from 'tldraw'
+import { getActiveTextLayer, unionBoxes } from './textLayer'
+import type { TextBox, TextLayer, TextLine, TextWord } from './textLayer'
+import { newNoteMeta } from './noteThread'
+
+interface PlacedWord {
+  word: TextWord
+  line: number    // Index of the word's line
+}
+
+// Words of a page in reading order
+function flattenLines(lines: TextLine[]): PlacedWord[] {
+  return lines.flatMap((line, i) => line.words.map(word => ({ word, line: i })))
+}
+
+function pageAt(layer: TextLayer, point: VecLike): number {
+  return layer.pageBounds.findIndex(b => point.x >= b.x && point.x <= b.x + b.w && point.y >= b.y && point.y <= b.y + b.h)
+}
+
+// Word closest to a point; vertical distance counts more, so a press between
+// lines picks the line it's nearer to rather than the nearest word end
+function nearestWord(words: PlacedWord[], point: VecLike): number {
+  let best = -1
+  let bestDistance = Infinity
+  words.forEach(({ word: { box } }, i) => {
+    const dx = Math.max(box.x - point.x, 0, point.x - (box.x + box.w))
+    const dy = Math.max(box.y - point.y, 0, point.y - (box.y + box.h))
+    const distance = dx + dy * 3
+    if (distance < bestDistance) {
+      best = i
+      bestDistance = distance
+    }
+  })
+  return best
+}
+
+// Selected text, rejoining words hyphenated across a line break
+function selectedText(words: PlacedWord[]): string {
+  let text = ''
+  words.forEach(({ word, line }, i) => {
+    if (i === 0) {
+      text = word.text
+    } else if (line !== words[i - 1].line && /[a-z]-$/i.test(text)) {
+      text = text.slice(0, -1) + word.text
+    } else {
+      text += ' ' + word.text
+    }
+  })
+  return text
+}
+
+export class TextHighlightTool extends StateNode {
+  static override id = 'text-highlight'
+
+  private words: PlacedWord[] = []
+  private pageIndex = -1
+  private anchor = -1
+  private shapeId: TLShapeId | null = null
+
+  // Start loading the text of the pages on screen so the first press snaps
+  override onEnter = () => {
+    const layer = getActiveTextLayer()
+    if (!layer) return
+    const viewport = this.editor.getViewportPageBounds()
+    layer.pageBounds.forEach((b, i) => {
+      if (b.x < viewport.maxX && b.x + b.w > viewport.x && b.y < viewport.maxY && b.y + b.h > viewport.y) {
+        layer.getLines(i)
+      }
+    })
+    this.editor.setCursor({ type: 'text', rotation: 0 })
+  }
+
+  override onExit = () => {
+    this.editor.setCursor({ type: 'default', rotation: 0 })
+  }
+
+  override onPointerDown = () => {
+    const layer = getActiveTextLayer()
+    if (!layer) return
+    const point = this.editor.inputs.currentPagePoint
+    const pageIndex = pageAt(layer, point)
+    if (pageIndex === -1) return
+
+    const lines = layer.peekLines(pageIndex)
+    if (!lines) {
+      // Not loaded yet (page just scrolled in); the next press will snap
+      layer.getLines(pageIndex)
+      return
+    }
+
+    this.pageIndex = pageIndex
+    this.words = flattenLines(lines)
+    this.anchor = nearestWord(this.words, point)
+    if (this.anchor === -1) return
+
+    this.editor.markHistoryStoppingPoint('text highlight')
+    this.shapeId = createShapeId()
+    this.updateSelection()
+  }
+
+  override onPointerMove = () => {
+    if (this.shapeId) this.updateSelection()
+  }
+
+  override onPointerUp = () => {
+    this.shapeId = null
+    this.words = []
+  }
+
+  override onCancel = () => {
+    if (this.shapeId) this.editor.deleteShape(this.shapeId)
+    this.shapeId = null
+    this.words = []
+  }
+
+  // Highlight every word between the anchor and the word under the pointer
+  private updateSelection() {
+    const { editor, shapeId } = this
+    if (!shapeId) return
+
+    const current = nearestWord(this.words, editor.inputs.currentPagePoint)
+    const selection = this.words.slice(Math.min(this.anchor, current), Math.max(this.anchor, current) + 1)
+
+    // One box per line, spanning its selected words
+    const byLine = new Map<number, TextBox[]>()
+    for (const { word, line } of selection) {
+      if (!byLine.has(line)) byLine.set(line, [])
+      byLine.get(line)!.push(word.box)
+    }
+    const rects = [...byLine.values()].map(unionBoxes)
+    const bounds = unionBoxes(rects)
+
+    const props = {
+      w: bounds.w,
+      h: bounds.h,
+      rects: rects.map(r => ({ x: r.x - bounds.x, y: r.y - bounds.y, w: r.w, h: r.h })),
+    }
+    const meta = { text: selectedText(selection), page: this.pageIndex + 1 }
+
+    if (editor.getShape(shapeId)) {
+      editor.updateShape({ id: shapeId, type: 'text-highlight', x: bounds.x, y: bounds.y, props, meta })
+    } else {
+      editor.createShape({
+        id: shapeId,
+        type: 'text-highlight',
+        x: bounds.x,
+        y: bounds.y,
+        meta: { ...newNoteMeta('reviewer'), ...meta },
+        props,
+      })
+    }
+  }
+}
+
+/**
+ * Add the text highlight tool to the UI's tool list (for `overrides.tools`)
+ */
+export function withTextHighlightTool(editor: Editor, tools: TLUiToolsContextType): TLUiToolsContextType {
+  tools['text-highlight'] = {
+    id: 'text-highlight',
+    icon: 'tool-highlight',
+    label: 'Highlight Text',
+    onSelect: () => editor.setCurrentTool('text-highlight'),
+  }
+  return tools
+}
@@ -0,0 +1,61 @@
+// Rendering for text highlights: translucent line boxes, plus a copy button
+// while the highlight is the only thing selected
+
+import { useCallback, useState } from 'react'
+import { HTMLContainer, getDefaultColorTheme, stopEventPropagation, useEditor, useValue } from 'tldraw'
+import type { TLTextHighlightShape } from './TextHighlightShape'
+import { copyText } from './clipboard'
+
+const theme = getDefaultColorTheme({ isDarkMode: false })
+
+export function TextHighlightView({ shape }: { shape: TLTextHighlightShape }) {
+  const editor = useEditor()
+  const isSelected = useValue('selected', () => editor.getOnlySelectedShapeId() === shape.id, [editor, shape.id])
+  const [copied, setCopied] = useState(false)
+  const text = (shape.meta.text as string | undefined) ?? ''
+  const color = theme[shape.props.color]?.highlightSrgb ?? theme.yellow.highlightSrgb
+
+  const copy = useCallback(async (e: React.PointerEvent) => {
+    stopEventPropagation(e)
+    try {
+      await copyText(text)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    } catch (err) {
+      console.error('Copy failed:', err)
+    }
+  }, [text])
+
+  return (
+    <HTMLContainer style={{ width: shape.props.w, height: shape.props.h }}>
+      <svg width={shape.props.w} height={shape.props.h} style={{ overflow: 'visible', mixBlendMode: 'multiply' }}>
+        {shape.props.rects.map((r, i) => (
+          <rect key={i} x={r.x} y={r.y} width={r.w} height={r.h} rx={1} fill={color} />
+        ))}
+      </svg>
+      {isSelected && text && (
+        <div
+          title={text}
+          onPointerDown={copy}
+          style={{
+            position: 'absolute',
+            top: -24,
+            left: 0,
+            padding: '1px 8px',
+            borderRadius: '9px',
+            background: copied ? '#16a34a' : '#2563eb',
+            color: 'white',
+            fontSize: '11px',
+            fontFamily: 'sans-serif',
+            lineHeight: '18px',
+            whiteSpace: 'nowrap',
+            cursor: 'pointer',
+            pointerEvents: 'all',
+          }}
+        >
+          {copied ? 'Copied' : 'Copy text'}
+        </div>
+      )}
+    </HTMLContainer>
+  )
+}
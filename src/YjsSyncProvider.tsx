@@ -0,0 +1,22 @@
+// Keeps the editor in sync with its room on the sync server (see useYjsSync)
+// Render inside <Tldraw>; shows the connection status.
+
+import { useEffect } from 'react'
+import { useEditor } from 'tldraw'
+import { useYjsSync } from './useYjsSync'
+import { SyncStatusIndicator } from './SyncStatusIndicator'
+import { SYNC_SERVER, roomTokenFromUrl, roomTokenRole } from './roomAccess'
+
+export function YjsSyncProvider({ roomId }: { roomId: string }) {
+  const editor = useEditor()
+  const token = roomTokenFromUrl()
+  const status = useYjsSync({ editor, roomId, serverUrl: SYNC_SERVER, token })
+
+  // View-only links open read-only (the server drops viewers' updates regardless)
+  const isViewer = roomTokenRole(token) === 'viewer'
+  useEffect(() => {
+    editor.updateInstanceState({ isReadonly: isViewer })
+  }, [editor, isViewer])
+
+  return <SyncStatusIndicator status={status} />
+}
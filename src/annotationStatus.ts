@@ -0,0 +1,62 @@
+// Review status of annotations, stored in shape meta
+// Lets a multi-round review tell which comments have been dealt with
+
+import type { Editor, TLShape, TLShapeId } from 'tldraw'
+import type { NoteAuthor } from './noteThread'
+
+export type AnnotationStatus = 'open' | 'addressed' | 'wontfix'
+
+export const ANNOTATION_STATUSES: AnnotationStatus[] = ['open', 'addressed', 'wontfix']
+
+export const STATUS_LABELS: Record<AnnotationStatus, string> = {
+  open: 'Open',
+  addressed: 'Addressed',
+  wontfix: "Won't fix",
+}
+
+export const STATUS_COLORS: Record<AnnotationStatus, string> = {
+  open: '#2563eb',
+  addressed: '#16a34a',
+  wontfix: '#6b7280',
+}
+
+/**
+ * Status of an annotation (shapes without one are open)
+ */
+export function getStatus(shape: TLShape): AnnotationStatus {
+  const status = shape.meta.status as AnnotationStatus | undefined
+  return status && ANNOTATION_STATUSES.includes(status) ? status : 'open'
+}
+
+/**
+ * Set an annotation's status, recording who changed it and why
+ */
+export function setStatus(
+  editor: Editor,
+  shapeId: TLShapeId,
+  status: AnnotationStatus,
+  by: NoteAuthor,
+  comment?: string
+) {
+  const shape = editor.getShape(shapeId)
+  if (!shape) return
+
+  editor.updateShape({
+    id: shapeId,
+    type: shape.type,
+    meta: {
+      ...shape.meta,
+      status,
+      statusBy: by,
+      statusAt: new Date().toISOString(),
+      statusComment: comment ?? null,
+    },
+  })
+}
+
+/**
+ * Next status when cycling through them from the badge
+ */
+export function nextStatus(status: AnnotationStatus): AnnotationStatus {
+  return ANNOTATION_STATUSES[(ANNOTATION_STATUSES.indexOf(status) + 1) % ANNOTATION_STATUSES.length]
+}
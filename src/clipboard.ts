@@ -0,0 +1,22 @@
+// Copying text to the clipboard, also where the Clipboard API isn't available
+
+/**
+ * Copy text to the clipboard
+ * The Clipboard API needs a secure context, and the iPad loads the app over
+ * plain http on the LAN; there a hidden textarea and execCommand do it instead.
+ * Rejects if the text couldn't be copied (e.g. no user gesture any more).
+ */
+export async function copyText(text: string) {
+  if (navigator.clipboard && window.isSecureContext) {
+    await navigator.clipboard.writeText(text)
+    return
+  }
+  const textarea = document.createElement('textarea')
+  textarea.value = text
+  textarea.style.cssText = 'position:fixed;opacity:0'
+  document.body.appendChild(textarea)
+  textarea.select()
+  const copied = document.execCommand('copy')
+  textarea.remove()
+  if (!copied) throw new Error('Copy command was refused')
+}
@@ -0,0 +1,137 @@
+// Document outline (table of contents)
+// PDFs carry theirs in the outline dictionary; LaTeX builds get one from the
+// .toc at build time (scripts/outline.js). Either way each entry ends up as a
+// position on the canvas, so the outline can follow the camera and count the
+// annotations in each section.
+
+import type { PDFDocumentProxy } from 'pdfjs-dist'
+import { pdfToCanvas } from './pageGeometry.js'
+import type { PageGeometry } from './pageGeometry.js'
+
+export interface OutlineEntry {
+  title: string
+  level: number         // 0 for top-level entries
+  page: number          // 1-indexed
+  y: number             // Canvas y of the heading
+}
+
+// As recorded in the manifest by scripts/outline.js
+export interface ManifestOutlineEntry {
+  level: number         // LaTeX sectioning level: -1 part, 0 chapter, 1 section, ...
+  number: string | null
+  title: string
+  page: number
+  y: number | null      // Baseline in PDF points, when synctex placed it
+}
+
+const HEADING_HEIGHT = 14 // PDF points above a baseline the heading reaches
+
+function pageTop(geometry: PageGeometry[], page: number): number {
+  return geometry[page - 1]?.bounds.y ?? 0
+}
+
+/**
+ * Outline of a LaTeX build, from its manifest entry
+ * Headings synctex couldn't place sit at the top of their page
+ */
+export function latexOutline(entries: ManifestOutlineEntry[], geometry: PageGeometry[]): OutlineEntry[] {
+  const topLevel = Math.min(...entries.map(entry => entry.level))
+  return entries
+    .filter(entry => entry.page >= 1 && entry.page <= geometry.length)
+    .map(entry => {
+      const point = entry.y === null ? null : pdfToCanvas(geometry, entry.page, 0, entry.y - HEADING_HEIGHT)
+      return {
+        title: entry.number ? `${entry.number} ${entry.title}` : entry.title,
+        level: entry.level - topLevel,
+        page: entry.page,
+        y: point ? Math.max(point.y, pageTop(geometry, entry.page)) : pageTop(geometry, entry.page),
+      }
+    })
+}
+
+type PdfOutlineItem = Awaited<ReturnType<PDFDocumentProxy['getOutline']>>[number]
+
+// Top edge of an explicit destination, in PDF user space (y up), if it has one
+function destinationTop(dest: unknown[]): number | null {
+  const mode = (dest[1] as { name?: string } | null)?.name
+  const value = mode === 'XYZ' ? dest[3] : mode === 'FitH' || mode === 'FitBH' ? dest[2] : mode === 'FitR' ? dest[5] : null
+  return typeof value === 'number' ? value : null
+}
+
+/**
+ * Outline of a PDF from its outline dictionary
+ * @param document - The PDF
+ * @param geometry - Page layout (PDF points from the page's top-left)
+ * @returns Entries in document order; empty if the PDF has no outline
+ */
+export async function pdfOutline(document: PDFDocumentProxy, geometry: PageGeometry[]): Promise<OutlineEntry[]> {
+  const outline = await document.getOutline()
+  if (!outline) return []
+
+  const entries: OutlineEntry[] = []
+
+  async function resolve(item: PdfOutlineItem): Promise<Omit<OutlineEntry, 'title' | 'level'> | null> {
+    const dest = typeof item.dest === 'string' ? await document.getDestination(item.dest) : item.dest
+    if (!dest || dest.length === 0) return null
+
+    const target = dest[0]
+    const pageIndex = typeof target === 'number' ? target : await document.getPageIndex(target)
+    const page = pageIndex + 1
+    if (!geometry[pageIndex]) return null
+
+    const top = destinationTop(dest)
+    if (top === null) return { page, y: pageTop(geometry, page) }
+
+    // Flip to the page's top-left origin through its viewport
+    const pdfPage = await document.getPage(page)
+    const [, y] = pdfPage.getViewport({ scale: 1 }).convertToViewportPoint(0, top)
+    const point = pdfToCanvas(geometry, page, 0, y)
+    return { page, y: point ? Math.max(point.y, pageTop(geometry, page)) : pageTop(geometry, page) }
+  }
+
+  async function walk(items: PdfOutlineItem[], level: number) {
+    for (const item of items) {
+      try {
+        const position = await resolve(item)
+        if (position) entries.push({ title: item.title, level, ...position })
+      } catch (e) {
+        console.warn(`Outline entry "${item.title}" has no usable destination:`, e)
+      }
+      if (item.items?.length) await walk(item.items, level + 1)
+    }
+  }
+
+  await walk(outline, 0)
+  return entries
+}
+
+/**
+ * Index of the section the reader is in: the last heading at or above `canvasY`
+ * @returns -1 before the first heading
+ */
+export function currentEntryIndex(entries: OutlineEntry[], canvasY: number): number {
+  let current = -1
+  entries.forEach((entry, i) => {
+    if (entry.y <= canvasY && (current === -1 || entry.y >= entries[current].y)) current = i
+  })
+  return current
+}
+
+/**
+ * Canvas y where each entry's section ends: the next heading at the same or a
+ * higher level, so a section's span includes its subsections
+ */
+export function sectionEnds(entries: OutlineEntry[]): number[] {
+  return entries.map((entry, i) => {
+    const next = entries.slice(i + 1).find(other => other.level <= entry.level && other.y >= entry.y)
+    return next ? next.y : Infinity
+  })
+}
+
+/**
+ * Number of points (annotation centres) inside each entry's section
+ */
+export function countPerSection(entries: OutlineEntry[], ys: number[]): number[] {
+  const ends = sectionEnds(entries)
+  return entries.map((entry, i) => ys.filter(y => y >= entry.y && y < ends[i]).length)
+}
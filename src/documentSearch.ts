@@ -0,0 +1,93 @@
+// Full-text search over a document's text layer
+// Each page's words are joined into one string (spaces between words and
+// lines), so a query can span line breaks; hits map back to word boxes.
+
+import { unionBoxes } from './textLayer'
+import type { TextBox, TextLayer, TextWord } from './textLayer'
+
+const SNIPPET_CONTEXT = 30 // Characters either side of a hit
+
+export interface SearchHit {
+  page: number          // 1-indexed
+  box: TextBox          // Canvas bounds of the matched words
+  snippet: { before: string, match: string, after: string }
+}
+
+interface PageIndex {
+  text: string          // Lowercased, words separated by single spaces
+  original: string      // Same, original case (for snippets)
+  words: TextWord[]
+  starts: number[]      // Offset of each word in text
+}
+
+const indexes = new WeakMap<TextLayer, Promise<PageIndex[]>>()
+
+async function indexPage(layer: TextLayer, pageIndex: number): Promise<PageIndex> {
+  const lines = await layer.getLines(pageIndex)
+  const words = lines.flatMap(line => line.words)
+  const starts: number[] = []
+  let original = ''
+  for (const word of words) {
+    if (original) original += ' '
+    starts.push(original.length)
+    original += word.text
+  }
+  return { text: original.toLowerCase(), original, words, starts }
+}
+
+// Pages one at a time: SVG pages are measured in the DOM, which doesn't parallelize
+async function indexDocument(layer: TextLayer): Promise<PageIndex[]> {
+  const pages: PageIndex[] = []
+  for (let i = 0; i < layer.pageBounds.length; i++) {
+    pages.push(await indexPage(layer, i))
+  }
+  return pages
+}
+
+/**
+ * Index a document's text now, so the first search doesn't wait on it
+ */
+export function prepareSearch(layer: TextLayer): Promise<unknown> {
+  if (!indexes.has(layer)) indexes.set(layer, indexDocument(layer))
+  return indexes.get(layer)!
+}
+
+/**
+ * Case-insensitive search; whitespace in the query matches any word break
+ * @param layer - The document's text layer
+ * @param query
+ * @param limit - Stop after this many hits
+ * @returns Hits in document order
+ */
+export async function searchDocument(layer: TextLayer, query: string, limit = 200): Promise<SearchHit[]> {
+  const needle = query.trim().toLowerCase().replace(/\s+/g, ' ')
+  if (!needle) return []
+
+  await prepareSearch(layer)
+  const pages = await indexes.get(layer)!
+
+  const hits: SearchHit[] = []
+  pages.forEach((page, pageIndex) => {
+    let from = 0
+    let at: number
+    while (hits.length < limit && (at = page.text.indexOf(needle, from)) !== -1) {
+      const end = at + needle.length
+      from = end
+
+      // Words overlapping the matched characters
+      const matched = page.words.filter((word, i) => page.starts[i] < end && page.starts[i] + word.text.length > at)
+      if (matched.length === 0) continue
+
+      hits.push({
+        page: pageIndex + 1,
+        box: unionBoxes(matched.map(word => word.box)),
+        snippet: {
+          before: (at > SNIPPET_CONTEXT ? '…' : '') + page.original.slice(Math.max(0, at - SNIPPET_CONTEXT), at),
+          match: page.original.slice(at, end),
+          after: page.original.slice(end, end + SNIPPET_CONTEXT) + (end + SNIPPET_CONTEXT < page.original.length ? '…' : ''),
+        },
+      })
+    }
+  })
+  return hits
+}
@@ -0,0 +1,49 @@
+// Jump the camera to a canvas point and flash a marker there
+// Used by the forward-sync "highlight" message and by search results; page and
+// outline navigation scroll a position to the top of the viewport instead
+
+import { createShapeId } from 'tldraw'
+import type { Editor, VecLike } from 'tldraw'
+
+const MARKER_SIZE = 60
+const MARKER_DURATION = 3000 // ms
+const TOP_MARGIN = 16       // Canvas units left above a position scrolled to the top
+
+/**
+ * Center on a point, optionally circling it in red for a few seconds
+ */
+export function jumpToPoint(editor: Editor, point: VecLike, { marker = true } = {}) {
+  editor.centerOnPoint(point, { animation: { duration: 300 } })
+  if (!marker) return
+
+  const markerId = createShapeId()
+  editor.createShape({
+    id: markerId,
+    type: 'geo',
+    x: point.x - MARKER_SIZE / 2,
+    y: point.y - MARKER_SIZE / 2,
+    props: {
+      geo: 'ellipse',
+      w: MARKER_SIZE,
+      h: MARKER_SIZE,
+      fill: 'none',
+      color: 'red',
+      size: 'm',
+    },
+  })
+
+  setTimeout(() => {
+    if (editor.getShape(markerId)) {
+      editor.deleteShape(markerId)
+    }
+  }, MARKER_DURATION)
+}
+
+/**
+ * Scroll so a canvas y sits at the top of the viewport, keeping the zoom
+ * @param x - Canvas x to center horizontally on
+ */
+export function scrollToTop(editor: Editor, x: number, y: number) {
+  const viewport = editor.getViewportPageBounds()
+  editor.centerOnPoint({ x, y: y - TOP_MARGIN + viewport.h / 2 }, { animation: { duration: 300 } })
+}
@@ -0,0 +1,67 @@
+// Conversation threads on notes (math notes and native sticky notes alike)
+// The note's own text opens the thread; replies live in shape meta so they
+// sync and snapshot along with the note, whatever its type
+
+import type { Editor, JsonObject, TLShape, TLShapeId } from 'tldraw'
+
+export type NoteAuthor = 'reviewer' | 'claude'
+
+export interface NoteMessage {
+  id: string
+  author: NoteAuthor
+  time: string    // ISO timestamp
+  body: string    // Text with $...$ / $$...$$ math
+}
+
+export const AUTHOR_LABELS: Record<NoteAuthor, string> = {
+  reviewer: 'Reviewer',
+  claude: 'Claude',
+}
+
+/**
+ * Meta for a new note: who opened the thread and when
+ */
+export function newNoteMeta(author: NoteAuthor): JsonObject {
+  return { author, createdAt: new Date().toISOString() }
+}
+
+/**
+ * Replies on a note, oldest first
+ */
+export function getReplies(shape: TLShape): NoteMessage[] {
+  const thread = shape.meta.thread
+  return Array.isArray(thread) ? (thread as unknown as NoteMessage[]) : []
+}
+
+/**
+ * Append a reply to a note's thread
+ */
+export function addReply(editor: Editor, shapeId: TLShapeId, author: NoteAuthor, body: string) {
+  const shape = editor.getShape(shapeId)
+  if (!shape || (shape.type !== 'math-note' && shape.type !== 'note')) return
+
+  const reply: NoteMessage = {
+    // Not crypto.randomUUID: the iPad loads the app over plain http on the LAN
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+    author,
+    time: new Date().toISOString(),
+    body,
+  }
+
+  editor.updateShape({
+    id: shapeId,
+    type: shape.type,
+    meta: { ...shape.meta, thread: [...getReplies(shape), reply] as unknown as JsonObject[] },
+  })
+}
+
+/**
+ * Short relative time for thread headers ("just now", "5m", "3h", "2d")
+ */
+export function formatTime(iso: string): string {
+  const seconds = (Date.now() - new Date(iso).getTime()) / 1000
+  if (!(seconds >= 60)) return 'just now'
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`
+  return `${Math.floor(seconds / 86400)}d`
+}
@@ -0,0 +1,25 @@
+// Types for pageGeometry.js
+
+export interface PageGeometry {
+  page: number                              // 1-indexed page number
+  origin: { x: number, y: number }          // viewBox origin, in PDF points
+  width: number                             // Native page width, in PDF points
+  height: number                            // Native page height, in PDF points
+  bounds: { x: number, y: number, width: number, height: number } // Canvas bounds
+}
+
+export interface PageSize {
+  origin?: { x: number, y: number }
+  width: number
+  height: number
+}
+
+export const TARGET_WIDTH: number
+export const PAGE_SPACING: number
+
+export function parseSvgViewBox(svgText: string): Required<PageSize>
+export function layoutPages(sizes: PageSize[]): PageGeometry[]
+export function findPageAt(pages: PageGeometry[], canvasY: number): PageGeometry | null
+export function canvasToPdf(pages: PageGeometry[], canvasX: number, canvasY: number): { page: number, x: number, y: number } | null
+export function canvasToPagePoint(page: PageGeometry, canvasX: number, canvasY: number): { x: number, y: number }
+export function pdfToCanvas(pages: PageGeometry[], pageNum: number, pdfX: number, pdfY: number): { x: number, y: number } | null
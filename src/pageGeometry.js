@@ -0,0 +1,142 @@
+// Page geometry shared by the client, the Node scripts and the build
+// Plain JS (typed by pageGeometry.d.ts) so Node can import it without a build step
+//
+// Coordinate systems:
+// - PDF: big points from the top-left of the physical page (what synctex uses)
+// - SVG: dvisvgm user units, i.e. PDF points cropped to the viewBox
+// - Canvas: TLDraw page space, pages scaled to TARGET_WIDTH and stacked vertically
+
+export const TARGET_WIDTH = 800
+export const PAGE_SPACING = 32
+
+const DEFAULT_SIZE = { width: 612, height: 792 } // US letter, in points
+
+/**
+ * Read the viewBox origin and native size (points) from SVG source text
+ * @param {string} svgText
+ * @returns {{ origin: { x: number, y: number }, width: number, height: number }}
+ */
+export function parseSvgViewBox(svgText) {
+  const svgTag = svgText.match(/<svg\b[^>]*>/)?.[0] ?? ''
+  const attr = (name) => svgTag.match(new RegExp(`\\s${name}=['"]([^'"]+)['"]`))?.[1]
+
+  const origin = { x: 0, y: 0 }
+  let { width, height } = DEFAULT_SIZE
+
+  const viewBox = attr('viewBox')
+  if (viewBox) {
+    const parts = viewBox.trim().split(/[\s,]+/).map(parseFloat)
+    if (parts.length === 4 && parts.every(n => !isNaN(n))) {
+      origin.x = parts[0]
+      origin.y = parts[1]
+      width = parts[2]
+      height = parts[3]
+    }
+  } else {
+    const w = parseFloat(attr('width') ?? '')
+    const h = parseFloat(attr('height') ?? '')
+    if (!isNaN(w)) width = w
+    if (!isNaN(h)) height = h
+  }
+
+  return { origin, width, height }
+}
+
+/**
+ * Lay pages out on the canvas: scaled to TARGET_WIDTH, stacked, centered
+ * @param {Array<{ origin?: { x: number, y: number }, width: number, height: number }>} sizes
+ * @returns {import('./pageGeometry').PageGeometry[]}
+ */
+export function layoutPages(sizes) {
+  let top = 0
+  let widest = 0
+
+  const pages = sizes.map((size, i) => {
+    const scale = TARGET_WIDTH / size.width
+    const width = size.width * scale
+    const height = size.height * scale
+    const page = {
+      page: i + 1,
+      origin: { x: size.origin?.x ?? 0, y: size.origin?.y ?? 0 },
+      width: size.width,
+      height: size.height,
+      bounds: { x: 0, y: top, width, height },
+    }
+    top += height + PAGE_SPACING
+    widest = Math.max(widest, width)
+    return page
+  })
+
+  for (const page of pages) {
+    page.bounds.x = (widest - page.bounds.width) / 2
+  }
+  return pages
+}
+
+/**
+ * Page under a canvas Y coordinate, or the nearest page when between pages
+ * @param {import('./pageGeometry').PageGeometry[]} pages
+ * @param {number} canvasY
+ */
+export function findPageAt(pages, canvasY) {
+  let nearest = null
+  let nearestDistance = Infinity
+  for (const page of pages) {
+    const { y, height } = page.bounds
+    if (canvasY >= y && canvasY < y + height) return page
+    const distance = Math.min(Math.abs(canvasY - y), Math.abs(canvasY - (y + height)))
+    if (distance < nearestDistance) {
+      nearest = page
+      nearestDistance = distance
+    }
+  }
+  return nearest
+}
+
+/**
+ * Canvas coordinates → PDF page and points
+ * @param {import('./pageGeometry').PageGeometry[]} pages
+ * @param {number} canvasX
+ * @param {number} canvasY
+ * @returns {{ page: number, x: number, y: number } | null}
+ */
+export function canvasToPdf(pages, canvasX, canvasY) {
+  const page = findPageAt(pages, canvasY)
+  if (!page) return null
+  return { page: page.page, ...canvasToPagePoint(page, canvasX, canvasY) }
+}
+
+/**
+ * Canvas coordinates → points on a given page, even outside its bounds
+ * (for shapes that hang off the edge of the page they belong to)
+ * @param {import('./pageGeometry').PageGeometry} page
+ * @param {number} canvasX
+ * @param {number} canvasY
+ * @returns {{ x: number, y: number }}
+ */
+export function canvasToPagePoint(page, canvasX, canvasY) {
+  const scale = page.bounds.width / page.width
+  return {
+    x: (canvasX - page.bounds.x) / scale + page.origin.x,
+    y: (canvasY - page.bounds.y) / scale + page.origin.y,
+  }
+}
+
+/**
+ * PDF page and points → canvas coordinates
+ * @param {import('./pageGeometry').PageGeometry[]} pages
+ * @param {number} pageNum - 1-indexed page
+ * @param {number} pdfX
+ * @param {number} pdfY
+ * @returns {{ x: number, y: number } | null}
+ */
+export function pdfToCanvas(pages, pageNum, pdfX, pdfY) {
+  const page = pages[pageNum - 1]
+  if (!page) return null
+
+  const scale = page.bounds.width / page.width
+  return {
+    x: page.bounds.x + (pdfX - page.origin.x) * scale,
+    y: page.bounds.y + (pdfY - page.origin.y) * scale,
+  }
+}
@@ -0,0 +1,304 @@
+// Flatten tldraw annotations onto the original PDF with pdf-lib
+// Strokes and shapes become vector paths drawn into the page; notes become
+// FreeText annotations so PDF viewers list them as comments
+
+import {
+  BlendMode,
+  PDFDocument,
+  PDFHexString,
+  PDFString,
+  StandardFonts,
+  beginText,
+  endText,
+  fill,
+  moveText,
+  popGraphicsState,
+  pushGraphicsState,
+  rectangle,
+  rgb,
+  setFillingRgbColor,
+  setFontAndSize,
+  showText,
+} from 'pdf-lib'
+import type { PDFFont, PDFPage, RGB } from 'pdf-lib'
+import {
+  Group2d,
+  STROKE_SIZES,
+  getDefaultColorTheme,
+  renderPlaintextFromRichText,
+} from 'tldraw'
+import type { Editor, Geometry2d, TLDefaultColorStyle, TLDefaultSizeStyle, TLShape, VecLike } from 'tldraw'
+import { canvasToPagePoint, findPageAt } from './pageGeometry.js'
+import type { PageGeometry } from './pageGeometry.js'
+import { getReplies, AUTHOR_LABELS } from './noteThread'
+import type { NoteAuthor } from './noteThread'
+import { getStatus, STATUS_LABELS } from './annotationStatus'
+
+const NOTE_FONT_SIZE = 9
+const NOTE_PADDING = 4
+const HIGHLIGHT_WIDTH = 4   // Highlighter strokes are this many times wider than pens
+const ARROWHEAD_LENGTH = 8  // Points
+
+const VECTOR_TYPES = new Set(['draw', 'highlight', 'geo', 'line', 'arrow'])
+const NOTE_TYPES = new Set(['math-note', 'note', 'text'])
+const TEXT_HIGHLIGHT_OPACITY = 0.6
+
+const theme = getDefaultColorTheme({ isDarkMode: false })
+
+function hexToRgb(hex: string): RGB {
+  const match = hex.match(/^#([0-9a-f]{6})$/i)
+  if (!match) return rgb(0, 0, 0)
+  const n = parseInt(match[1], 16)
+  return rgb(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255)
+}
+
+function themeColor(color: unknown) {
+  return theme[(color as TLDefaultColorStyle) in theme ? (color as TLDefaultColorStyle) : 'black']
+}
+
+// Where a shape lands in the PDF: its page, and a canvas → page-point mapping
+// pdf-lib draws SVG paths downward from the top-left, which matches our page points
+interface Placement {
+  page: PDFPage
+  toPoint: (p: VecLike) => { x: number, y: number }
+  scale: number   // Canvas units per point
+}
+
+function placeShape(editor: Editor, pdf: PDFDocument, pages: PageGeometry[], shape: TLShape): Placement | null {
+  const bounds = editor.getShapePageBounds(shape)
+  if (!bounds) return null
+  const geometry = findPageAt(pages, bounds.center.y)
+  if (!geometry || geometry.page > pdf.getPageCount()) return null
+
+  return {
+    page: pdf.getPage(geometry.page - 1),
+    toPoint: (p) => canvasToPagePoint(geometry, p.x, p.y),
+    scale: geometry.bounds.width / geometry.width,
+  }
+}
+
+// Outline of a shape, without text labels
+function outlineGeometry(geometry: Geometry2d): Geometry2d {
+  if (geometry instanceof Group2d) {
+    return geometry.children.find(child => !child.isLabel) ?? geometry.children[0]
+  }
+  return geometry
+}
+
+function drawVectorShape(editor: Editor, shape: TLShape, placement: Placement) {
+  const { page, toPoint, scale } = placement
+  const props = shape.props as {
+    color?: string, size?: TLDefaultSizeStyle, scale?: number, dash?: string, fill?: string,
+    arrowheadStart?: string, arrowheadEnd?: string,
+  }
+
+  const transform = editor.getShapePageTransform(shape)
+  const outline = outlineGeometry(editor.getShapeGeometry(shape))
+  const points = outline.vertices.map(v => toPoint(transform.applyToPoint(v)))
+  if (points.length < 2) return
+
+  const isHighlight = shape.type === 'highlight'
+  const color = themeColor(props.color)
+  const width = (STROKE_SIZES[props.size ?? 'm'] * (props.scale ?? 1) / scale) * (isHighlight ? HIGHLIGHT_WIDTH : 1)
+  const d = points.map((p, i) => `${i ? 'L' : 'M'} ${p.x} ${p.y}`).join(' ') + (outline.isClosed ? ' Z' : '')
+
+  const cropBox = page.getCropBox()
+  const origin = { x: cropBox.x, y: cropBox.y + cropBox.height }
+
+  page.drawSvgPath(d, {
+    ...origin,
+    borderColor: hexToRgb(isHighlight ? color.highlightSrgb : color.solid),
+    borderWidth: width,
+    borderOpacity: isHighlight ? 0.6 : shape.opacity,
+    borderLineCap: 1, // Round
+    borderDashArray: props.dash === 'dashed' ? [width * 4, width * 2] : props.dash === 'dotted' ? [0, width * 2] : undefined,
+    color: outline.isClosed && props.fill && props.fill !== 'none' ? hexToRgb(color.semi) : undefined,
+    opacity: shape.opacity,
+    blendMode: isHighlight ? BlendMode.Multiply : undefined,
+  })
+
+  // Arrowheads as two short strokes at each end that has one
+  if (shape.type === 'arrow') {
+    const ends = [
+      { head: props.arrowheadStart, tip: points[0], from: points[1] },
+      { head: props.arrowheadEnd, tip: points[points.length - 1], from: points[points.length - 2] },
+    ]
+    for (const { head, tip, from } of ends) {
+      if (!head || head === 'none') continue
+      const angle = Math.atan2(tip.y - from.y, tip.x - from.x)
+      const wing = (a: number) => ({
+        x: tip.x - ARROWHEAD_LENGTH * Math.cos(angle + a),
+        y: tip.y - ARROWHEAD_LENGTH * Math.sin(angle + a),
+      })
+      const left = wing(Math.PI / 6)
+      const right = wing(-Math.PI / 6)
+      page.drawSvgPath(`M ${left.x} ${left.y} L ${tip.x} ${tip.y} L ${right.x} ${right.y}`, {
+        ...origin,
+        borderColor: hexToRgb(color.solid),
+        borderWidth: width,
+        borderLineCap: 1,
+        opacity: shape.opacity,
+      })
+    }
+  }
+}
+
+// Word-snapped highlights: a multiplied box per line
+function drawTextHighlight(editor: Editor, shape: TLShape, placement: Placement) {
+  const { page, toPoint } = placement
+  const { color, rects } = shape.props as { color: TLDefaultColorStyle, rects: Array<{ x: number, y: number, w: number, h: number }> }
+  const transform = editor.getShapePageTransform(shape)
+  const cropBox = page.getCropBox()
+
+  for (const r of rects) {
+    const topLeft = toPoint(transform.applyToPoint({ x: r.x, y: r.y }))
+    const bottomRight = toPoint(transform.applyToPoint({ x: r.x + r.w, y: r.y + r.h }))
+    page.drawRectangle({
+      x: cropBox.x + topLeft.x,
+      y: cropBox.y + cropBox.height - bottomRight.y,
+      width: bottomRight.x - topLeft.x,
+      height: bottomRight.y - topLeft.y,
+      color: hexToRgb(themeColor(color).highlightSrgb),
+      opacity: TEXT_HIGHLIGHT_OPACITY,
+      blendMode: BlendMode.Multiply,
+    })
+  }
+}
+
+// Plain text of a note, its author, and any replies
+function noteContent(editor: Editor, shape: TLShape): { author: string, text: string } {
+  const meta = shape.meta as { author?: NoteAuthor }
+  const author = AUTHOR_LABELS[meta.author ?? 'reviewer']
+  const status = getStatus(shape)
+  const prefix = status !== 'open' ? `[${STATUS_LABELS[status]}] ` : ''
+
+  if (shape.type === 'math-note') {
+    const { text } = shape.props as { text: string }
+    const replies = getReplies(shape).map(r => `${AUTHOR_LABELS[r.author] ?? r.author}: ${r.body}`)
+    return { author, text: prefix + [text, ...replies].join('\n\n') }
+  }
+
+  const { richText } = shape.props as { richText: Parameters<typeof renderPlaintextFromRichText>[1] }
+  const replies = getReplies(shape).map(r => `${AUTHOR_LABELS[r.author] ?? r.author}: ${r.body}`)
+  return { author, text: prefix + [renderPlaintextFromRichText(editor, richText), ...replies].join('\n\n') }
+}
+
+// Greedy word wrap; characters the standard font can't encode become '?'
+function wrapText(font: PDFFont, text: string, maxWidth: number): string[] {
+  const charset = new Set(font.getCharacterSet())
+  const clean = [...text].map(c => c === '\n' || charset.has(c.codePointAt(0)!) ? c : '?').join('')
+
+  const lines: string[] = []
+  for (const paragraph of clean.split('\n')) {
+    let line = ''
+    for (const word of paragraph.split(/\s+/)) {
+      const candidate = line ? `${line} ${word}` : word
+      if (line && font.widthOfTextAtSize(candidate, NOTE_FONT_SIZE) > maxWidth) {
+        lines.push(line)
+        line = word
+      } else {
+        line = candidate
+      }
+    }
+    lines.push(line)
+  }
+  return lines
+}
+
+function addNoteAnnotation(editor: Editor, pdf: PDFDocument, font: PDFFont, shape: TLShape, placement: Placement) {
+  const { page, toPoint } = placement
+  const bounds = editor.getShapePageBounds(shape)!
+  const topLeft = toPoint(bounds.point)
+  const bottomRight = toPoint({ x: bounds.maxX, y: bounds.maxY })
+  const width = bottomRight.x - topLeft.x
+  const height = bottomRight.y - topLeft.y
+
+  // Annotation rects are in PDF user space: origin bottom-left of the page
+  const cropBox = page.getCropBox()
+  const left = cropBox.x + topLeft.x
+  const top = cropBox.y + cropBox.height - topLeft.y
+  const rect = [left, top - height, left + width, top]
+
+  const { author, text } = noteContent(editor, shape)
+  const color = themeColor((shape.props as { color?: string }).color)
+  const background = shape.type === 'text' ? null : hexToRgb(color.noteFill)
+  const textColor = hexToRgb(shape.type === 'text' ? color.solid : color.noteText)
+
+  // Appearance stream, so every viewer shows the note the same way
+  const lines = wrapText(font, text, width - 2 * NOTE_PADDING)
+  const operators = [pushGraphicsState()]
+  if (background) {
+    operators.push(setFillingRgbColor(background.red, background.green, background.blue), rectangle(0, 0, width, height), fill())
+  }
+  operators.push(
+    setFillingRgbColor(textColor.red, textColor.green, textColor.blue),
+    beginText(),
+    setFontAndSize('Helv', NOTE_FONT_SIZE),
+    moveText(NOTE_PADDING, height - NOTE_PADDING - NOTE_FONT_SIZE),
+  )
+  lines.forEach((line, i) => {
+    if (i > 0) operators.push(moveText(0, -NOTE_FONT_SIZE * 1.25))
+    operators.push(showText(font.encodeText(line)))
+  })
+  operators.push(endText(), popGraphicsState())
+
+  const appearance = pdf.context.register(pdf.context.formXObject(operators, {
+    BBox: [0, 0, width, height],
+    Resources: { Font: { Helv: font.ref } },
+  }))
+
+  const annotation = pdf.context.register(pdf.context.obj({
+    Type: 'Annot',
+    Subtype: 'FreeText',
+    Rect: rect,
+    Contents: PDFHexString.fromText(text),
+    T: PDFHexString.fromText(author),
+    NM: PDFString.of(shape.id),
+    DA: PDFString.of(`/Helv ${NOTE_FONT_SIZE} Tf ${textColor.red} ${textColor.green} ${textColor.blue} rg`),
+    F: 4, // Print
+    AP: { N: appearance },
+  }))
+  page.node.addAnnot(annotation)
+}
+
+/**
+ * Draw the editor's annotations onto a copy of the PDF
+ * @param editor - Editor holding the annotations
+ * @param pdfBytes - The original PDF
+ * @param pages - Page layout used on the canvas
+ * @returns The annotated PDF
+ */
+export async function exportAnnotatedPdf(editor: Editor, pdfBytes: ArrayBuffer, pages: PageGeometry[]): Promise<Uint8Array> {
+  const pdf = await PDFDocument.load(pdfBytes)
+  const font = await pdf.embedFont(StandardFonts.Helvetica)
+
+  for (const shape of editor.getCurrentPageShapesSorted()) {
+    const isTextHighlight = shape.type === 'text-highlight'
+    if (!VECTOR_TYPES.has(shape.type) && !NOTE_TYPES.has(shape.type) && !isTextHighlight) continue
+    const placement = placeShape(editor, pdf, pages, shape)
+    if (!placement) continue
+
+    if (isTextHighlight) {
+      drawTextHighlight(editor, shape, placement)
+    } else if (VECTOR_TYPES.has(shape.type)) {
+      drawVectorShape(editor, shape, placement)
+    } else {
+      addNoteAnnotation(editor, pdf, font, shape, placement)
+    }
+  }
+
+  return pdf.save()
+}
+
+/**
+ * Save bytes as a file download
+ */
+export function downloadPdf(bytes: Uint8Array, filename: string) {
+  const blob = new Blob([bytes as BlobPart], { type: 'application/pdf' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
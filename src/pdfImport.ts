@@ -0,0 +1,241 @@
+// Existing PDF annotations (Acrobat, Preview, ...) as tldraw shapes
+// Each markup becomes the closest native shape; comments and their replies
+// become sticky notes, and the PDF author and annotation id ride along in meta.
+// Shape IDs are derived from the page and order of the markup, so importing the
+// same PDF twice gives the same shapes.
+
+import {
+  Box,
+  DefaultColorStyle,
+  b64Vecs,
+  createShapeId,
+  getDefaultColorTheme,
+  toRichText,
+} from 'tldraw'
+import type { JsonObject, TLDefaultColorStyle, TLDefaultSizeStyle, TLShapePartial, VecModel } from 'tldraw'
+import type { PageViewport } from 'pdfjs-dist'
+
+const IMPORTED_TYPES = new Set(['Highlight', 'Text', 'FreeText', 'Ink', 'Square', 'Circle'])
+const NOTE_SCALE = 0.5      // Sticky notes are 200 canvas units at scale 1, too big for a margin comment
+const NOTE_GAP = 8          // Canvas units between a markup and its comment note
+const HIGHLIGHT_OPACITY = 0.35
+
+// The subset of pdf.js annotation data we read
+interface PdfJsAnnotation {
+  id: string                                // Object reference, e.g. "12R"
+  subtype: string
+  rect: number[]                            // [x1, y1, x2, y2] in PDF user space
+  color: Uint8ClampedArray | null
+  titleObj?: { str: string }
+  contentsObj?: { str: string }
+  modificationDate?: string | null
+  quadPoints?: Float32Array | null
+  inkLists?: Float32Array[]
+  borderStyle?: { width: number }
+  opacity?: number
+  inReplyTo?: string | null
+}
+
+const theme = getDefaultColorTheme({ isDarkMode: false })
+
+// Nearest tldraw color to a PDF annotation color
+function nearestColor(color: Uint8ClampedArray | null, fallback: TLDefaultColorStyle): TLDefaultColorStyle {
+  if (!color || color.length < 3) return fallback
+
+  let best = fallback
+  let bestDistance = Infinity
+  for (const name of DefaultColorStyle.values) {
+    const n = parseInt(theme[name].solid.slice(1), 16)
+    const distance =
+      (((n >> 16) & 255) - color[0]) ** 2 +
+      (((n >> 8) & 255) - color[1]) ** 2 +
+      ((n & 255) - color[2]) ** 2
+    if (distance < bestDistance) {
+      best = name
+      bestDistance = distance
+    }
+  }
+  return best
+}
+
+// Nearest tldraw stroke size to a PDF border width, in canvas units
+function nearestSize(width: number): TLDefaultSizeStyle {
+  if (width < 2.75) return 's'
+  if (width < 4.25) return 'm'
+  if (width < 7.5) return 'l'
+  return 'xl'
+}
+
+function author(ann: PdfJsAnnotation): string {
+  return ann.titleObj?.str.trim() ?? ''
+}
+
+function contents(ann: PdfJsAnnotation): string {
+  return ann.contentsObj?.str.trim() ?? ''
+}
+
+// "Author: text", or just the text when the PDF doesn't say who wrote it
+function attributed(ann: PdfJsAnnotation): string {
+  return author(ann) ? `${author(ann)}: ${contents(ann)}` : contents(ann)
+}
+
+function annotationMeta(ann: PdfJsAnnotation): JsonObject {
+  return {
+    author: 'reviewer',
+    pdfAnnotation: {
+      id: ann.id,
+      subtype: ann.subtype,
+      author: author(ann),
+      modified: ann.modificationDate ?? null,
+    },
+  }
+}
+
+/**
+ * Shapes for one page's PDF annotations
+ * @param annotations - From pdf.js `page.getAnnotations()`
+ * @param viewport - Viewport at the scale the page is drawn on the canvas
+ * @param pageBounds - Where the page sits on the canvas
+ * @param idPrefix - Unique to the PDF and page; shape IDs are this plus a counter
+ */
+export function annotationShapes(annotations: PdfJsAnnotation[], viewport: PageViewport, pageBounds: Box, idPrefix: string): TLShapePartial[] {
+  const toCanvas = (x: number, y: number): VecModel => {
+    const [vx, vy] = viewport.convertToViewportPoint(x, y)
+    return { x: pageBounds.x + vx, y: pageBounds.y + vy }
+  }
+  const toBox = (x1: number, y1: number, x2: number, y2: number) => Box.FromPoints([toCanvas(x1, y1), toCanvas(x2, y2)])
+  const scale = viewport.scale
+
+  // Replies hang off their parent's comment, oldest first
+  const replies = new Map<string, PdfJsAnnotation[]>()
+  for (const ann of annotations) {
+    if (!ann.inReplyTo) continue
+    if (!replies.has(ann.inReplyTo)) replies.set(ann.inReplyTo, [])
+    replies.get(ann.inReplyTo)!.push(ann)
+  }
+
+  const shapes: TLShapePartial[] = []
+  const nextId = () => createShapeId(`${idPrefix}-annot-${shapes.length}`)
+
+  // Sticky note with an annotation's comment and its replies
+  const addNote = (ann: PdfJsAnnotation, at: VecModel, includeContents: boolean) => {
+    const thread = [...(includeContents && contents(ann) ? [ann] : []), ...(replies.get(ann.id) ?? [])]
+    if (thread.length === 0) return
+    shapes.push({
+      id: nextId(),
+      type: 'note',
+      x: at.x,
+      y: at.y,
+      meta: annotationMeta(ann),
+      props: {
+        richText: toRichText(thread.map(attributed).join('\n\n')),
+        color: nearestColor(ann.color, 'yellow'),
+        size: 's',
+        scale: NOTE_SCALE,
+      },
+    })
+  }
+
+  for (const ann of annotations) {
+    if (!IMPORTED_TYPES.has(ann.subtype) || ann.inReplyTo) continue
+    const rect = toBox(ann.rect[0], ann.rect[1], ann.rect[2], ann.rect[3])
+    const color = nearestColor(ann.color, ann.subtype === 'Highlight' ? 'yellow' : 'red')
+    const besideRect = { x: rect.maxX + NOTE_GAP, y: rect.y }
+
+    switch (ann.subtype) {
+      case 'Text':
+        addNote(ann, rect.point, true)
+        break
+
+      case 'FreeText':
+        shapes.push({
+          id: nextId(),
+          type: 'text',
+          x: rect.x,
+          y: rect.y,
+          meta: annotationMeta(ann),
+          props: {
+            richText: toRichText(contents(ann)),
+            color,
+            size: 's',
+            w: Math.max(rect.w, 1),
+            autoSize: false,
+          },
+        })
+        addNote(ann, besideRect, false)
+        break
+
+      case 'Highlight': {
+        // One translucent box per highlighted run of text
+        const quads = ann.quadPoints ?? Float32Array.from([ann.rect[0], ann.rect[3], ann.rect[2], ann.rect[3], ann.rect[0], ann.rect[1], ann.rect[2], ann.rect[1]])
+        for (let i = 0; i + 8 <= quads.length; i += 8) {
+          const box = toBox(quads[i], quads[i + 1], quads[i + 6], quads[i + 7])
+          shapes.push({
+            id: nextId(),
+            type: 'geo',
+            x: box.x,
+            y: box.y,
+            opacity: HIGHLIGHT_OPACITY,
+            meta: annotationMeta(ann),
+            props: { geo: 'rectangle', w: box.w, h: box.h, color, fill: 'solid', dash: 'solid', size: 's' },
+          })
+        }
+        addNote(ann, besideRect, true)
+        break
+      }
+
+      case 'Square':
+      case 'Circle':
+        shapes.push({
+          id: nextId(),
+          type: 'geo',
+          x: rect.x,
+          y: rect.y,
+          meta: annotationMeta(ann),
+          props: {
+            geo: ann.subtype === 'Square' ? 'rectangle' : 'ellipse',
+            w: rect.w,
+            h: rect.h,
+            color,
+            fill: 'none',
+            dash: 'solid',
+            size: nearestSize((ann.borderStyle?.width ?? 1) * scale),
+          },
+        })
+        addNote(ann, besideRect, true)
+        break
+
+      case 'Ink': {
+        const strokes = (ann.inkLists ?? []).map(list => {
+          const points: VecModel[] = []
+          for (let i = 0; i + 1 < list.length; i += 2) points.push(toCanvas(list[i], list[i + 1]))
+          return points
+        }).filter(points => points.length > 0)
+        if (strokes.length === 0) break
+
+        const origin = Box.FromPoints(strokes.flat()).point
+        shapes.push({
+          id: nextId(),
+          type: 'draw',
+          x: origin.x,
+          y: origin.y,
+          opacity: ann.opacity ?? 1,
+          meta: annotationMeta(ann),
+          props: {
+            segments: strokes.map(points => ({
+              type: 'free' as const,
+              path: b64Vecs.encodePoints(points.map(p => ({ x: p.x - origin.x, y: p.y - origin.y, z: 0.5 }))),
+            })),
+            color,
+            size: nearestSize((ann.borderStyle?.width ?? 1) * scale),
+            isComplete: true,
+          },
+        })
+        addNote(ann, besideRect, true)
+        break
+      }
+    }
+  }
+
+  return shapes
+}
@@ -0,0 +1,153 @@
+// On-demand rendering of PDF pages for the canvas
+// Pages are rasterized when tldraw asks for their asset (i.e. when they're on
+// screen), at a resolution that follows the zoom level, and dropped again when
+// the camera moves far away. A rendered page's URL is only revoked once nothing
+// holds it (see holdPageUrl), so thumbnails outlive their page's eviction.
+
+import { inlineBase64AssetStore } from 'tldraw'
+import type { TLAssetStore } from 'tldraw'
+import type { PDFDocumentProxy } from 'pdfjs-dist'
+import type { Pdf } from './PdfPicker'
+
+const MIN_SCREEN_SCALE = 0.25 // Coarsest render, for zoomed-out overviews
+const MAX_SCREEN_SCALE = 4    // Sharpest render; beyond this the canvases get huge
+
+interface RenderedPage {
+  scale: number                 // Device pixels per canvas unit
+  url: string                   // Object URL of the PNG
+}
+
+export interface PageRenderer {
+  /** URL of the page rendered for this on-screen scale, rendering it if needed */
+  render(pageIndex: number, screenScale: number, dpr: number): Promise<string>
+  /** Drop rendered pages that aren't in `keep` */
+  evict(keep: Set<number>): void
+  /** Drop everything (rendering again afterwards is fine, e.g. on a remount) */
+  dispose(): void
+}
+
+// Object URLs in use outside the canvas → how many holders; dropped pages whose
+// URL is still held are revoked when the last holder lets go
+const heldUrls = new Map<string, number>()
+const retiredUrls = new Set<string>()
+
+function revoke(url: string) {
+  if (heldUrls.has(url)) retiredUrls.add(url)
+  else URL.revokeObjectURL(url)
+}
+
+/**
+ * Keep a resolved page URL alive while it's shown outside the canvas
+ * (URLs that aren't rendered pages are left alone)
+ * @returns Release function
+ */
+export function holdPageUrl(url: string): () => void {
+  heldUrls.set(url, (heldUrls.get(url) ?? 0) + 1)
+  return () => {
+    const count = (heldUrls.get(url) ?? 1) - 1
+    if (count > 0) {
+      heldUrls.set(url, count)
+      return
+    }
+    heldUrls.delete(url)
+    if (retiredUrls.delete(url)) URL.revokeObjectURL(url)
+  }
+}
+
+/**
+ * Renderer for a PDF's pages
+ * @param document - The PDF, from pdf.js
+ * @param unitsPerPoint - Canvas units per PDF point (how big pages are on the canvas)
+ */
+export function createPageRenderer(document: PDFDocumentProxy, unitsPerPoint: number): PageRenderer {
+  const rendered = new Map<number, RenderedPage>()
+  const pending = new Map<string, Promise<string>>()
+  let queue: Promise<unknown> = Promise.resolve()
+
+  async function rasterize(pageIndex: number, scale: number): Promise<string> {
+    const page = await document.getPage(pageIndex + 1)
+    const viewport = page.getViewport({ scale: unitsPerPoint * scale })
+
+    const canvas = window.document.createElement('canvas')
+    canvas.width = Math.ceil(viewport.width)
+    canvas.height = Math.ceil(viewport.height)
+    const context = canvas.getContext('2d')
+    if (!context) throw new Error('Failed to create canvas context')
+
+    await page.render({
+      canvasContext: context,
+      canvas,
+      viewport,
+    }).promise
+
+    const blob = await new Promise<Blob | null>(resolve => canvas.toBlob(resolve, 'image/png'))
+    canvas.width = 0
+    canvas.height = 0
+    page.cleanup()
+    if (!blob) throw new Error(`Failed to encode page ${pageIndex + 1}`)
+    return URL.createObjectURL(blob)
+  }
+
+  function drop(pageIndex: number) {
+    const page = rendered.get(pageIndex)
+    if (!page) return
+    revoke(page.url)
+    rendered.delete(pageIndex)
+  }
+
+  return {
+    render(pageIndex, screenScale, dpr) {
+      // Powers of two, so small zoom changes reuse the same render
+      const stepped = Math.pow(2, Math.ceil(Math.log2(screenScale)))
+      const scale = Math.min(Math.max(stepped, MIN_SCREEN_SCALE), MAX_SCREEN_SCALE) * dpr
+
+      const existing = rendered.get(pageIndex)
+      if (existing && existing.scale >= scale) return Promise.resolve(existing.url)
+
+      const key = `${pageIndex}@${scale}`
+      if (!pending.has(key)) {
+        // One page at a time keeps memory flat while scrolling through long documents
+        const job = queue.then(async () => {
+          const url = await rasterize(pageIndex, scale)
+          drop(pageIndex)
+          rendered.set(pageIndex, { scale, url })
+          return url
+        }).finally(() => pending.delete(key))
+        queue = job.catch(() => {})
+        pending.set(key, job)
+      }
+      return pending.get(key)!
+    },
+
+    evict(keep) {
+      for (const pageIndex of [...rendered.keys()]) {
+        if (!keep.has(pageIndex)) drop(pageIndex)
+      }
+    },
+
+    dispose() {
+      for (const pageIndex of [...rendered.keys()]) drop(pageIndex)
+    },
+  }
+}
+
+/**
+ * Asset store that resolves page images through the renderer
+ * Other assets (pasted images, ...) are stored inline as usual
+ */
+export function pdfAssetStore(pdf: Pdf): TLAssetStore {
+  const pageIndexes = new Map(pdf.pages.map((page, i) => [page.assetId as string, i]))
+
+  return {
+    ...inlineBase64AssetStore,
+    resolve(asset, context) {
+      const pageIndex = pageIndexes.get(asset.id)
+      if (pageIndex === undefined) return asset.props.src
+      // tldraw doesn't catch failed resolves; keep the blank placeholder instead
+      return pdf.renderer.render(pageIndex, context.screenScale, context.dpr).catch(e => {
+        console.error(`Failed to render page ${pageIndex + 1}:`, e)
+        return asset.props.src
+      })
+    },
+  }
+}
@@ -0,0 +1,67 @@
+// Room tokens on the client side
+// The token comes from the page URL (?token=...) and is handed to the sync
+// server, which verifies it (server/room-tokens.js). The client only peeks at
+// the role inside to adapt the UI; it can't grant itself anything.
+
+export type RoomRole = 'owner' | 'commenter' | 'viewer'
+
+// Sync server URL - use env var for production, localhost for dev
+export const SYNC_SERVER: string = import.meta.env.VITE_SYNC_SERVER || 'ws://localhost:5176'
+
+const ROLES: RoomRole[] = ['owner', 'commenter', 'viewer']
+
+export function roomTokenFromUrl(): string | null {
+  return new URLSearchParams(window.location.search).get('token')
+}
+
+/**
+ * Role a token claims (unverified)
+ * @returns null for no token or one that doesn't decode
+ */
+export function roomTokenRole(token: string | null): RoomRole | null {
+  if (!token) return null
+  try {
+    const data = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/')
+    const payload = JSON.parse(atob(data))
+    return ROLES.includes(payload.role) ? payload.role : null
+  } catch {
+    return null
+  }
+}
+
+// ws://host:port → http://host:port (wss → https)
+export function httpUrl(serverUrl: string): string {
+  return serverUrl.replace(/^ws(s?):/, 'http$1:')
+}
+
+/**
+ * JSON request to the sync server's HTTP API for a room, with the room token
+ * @param path - After /rooms/:room, e.g. '/checkpoints'
+ * @throws With the server's error message if the request fails
+ */
+export async function roomRequest<T>(serverUrl: string, roomId: string, token: string | null, path: string, body?: object): Promise<T> {
+  const headers: Record<string, string> = {}
+  if (token) headers['Authorization'] = `Bearer ${token}`
+  if (body) headers['Content-Type'] = 'application/json'
+  const response = await fetch(`${httpUrl(serverUrl)}/rooms/${encodeURIComponent(roomId)}${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers,
+    body: body && JSON.stringify(body),
+  })
+  const result = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(result.error || `Request failed (${response.status})`)
+  return result
+}
+
+/**
+ * Link to this page for someone else, with a token for `role` minted by the
+ * sync server (owners only)
+ */
+export async function createShareLink(serverUrl: string, roomId: string, ownerToken: string, role: Exclude<RoomRole, 'owner'>): Promise<string> {
+  const result = await roomRequest<{ token: string }>(serverUrl, roomId, ownerToken, '/tokens', { role })
+
+  const url = new URL(window.location.href)
+  url.searchParams.set('room', roomId)
+  url.searchParams.set('token', result.token)
+  return url.toString()
+}
@@ -0,0 +1,51 @@
+// Room checkpoints on the client side (server/checkpoints.js keeps them)
+
+import { roomRequest } from './roomAccess'
+
+export interface Checkpoint {
+  id: string
+  /** Set for on-demand checkpoints; automatic ones are unnamed */
+  name: string | null
+  auto: boolean
+  createdAt: string
+  /** Number of records in the room at the time */
+  records: number
+}
+
+export interface RecordSummary {
+  id: string
+  typeName: string
+  type?: string
+}
+
+export interface CheckpointDiff {
+  added: RecordSummary[]
+  removed: RecordSummary[]
+  changed: RecordSummary[]
+}
+
+/** Newest first */
+export async function listCheckpoints(serverUrl: string, roomId: string, token: string | null): Promise<Checkpoint[]> {
+  const { checkpoints } = await roomRequest<{ checkpoints: Checkpoint[] }>(serverUrl, roomId, token, '/checkpoints')
+  return checkpoints
+}
+
+export async function createCheckpoint(serverUrl: string, roomId: string, token: string | null, name: string): Promise<Checkpoint> {
+  const { checkpoint } = await roomRequest<{ checkpoint: Checkpoint }>(serverUrl, roomId, token, '/checkpoints', { name })
+  return checkpoint
+}
+
+/** What changed from a checkpoint to the room as it is now */
+export function diffCheckpoint(serverUrl: string, roomId: string, token: string | null, id: string): Promise<CheckpointDiff> {
+  return roomRequest<CheckpointDiff>(serverUrl, roomId, token, `/checkpoints/${id}/diff?against=current`)
+}
+
+/**
+ * Put the room back as it was at a checkpoint (owners only); connected
+ * clients receive the restore as an ordinary update
+ * @returns The checkpoint taken of the state just before restoring
+ */
+export async function restoreCheckpoint(serverUrl: string, roomId: string, token: string | null, id: string): Promise<Checkpoint> {
+  const { checkpoint } = await roomRequest<{ checkpoint: Checkpoint }>(serverUrl, roomId, token, `/checkpoints/${id}/restore`, {})
+  return checkpoint
+}
@@ -0,0 +1,48 @@
+// The PDF behind a PDF room, kept on the sync server (server/pdfs.js)
+// Whoever opens a PDF in a room uploads it; anyone joining the room later
+// downloads the same file and so gets the same page IDs (see loadPdf).
+
+import { httpUrl, roomRequest } from './roomAccess'
+import type { Pdf } from './PdfPicker'
+
+interface RoomPdfInfo {
+  hash: string
+  name: string
+  size: number
+}
+
+function roomPdfInfo(serverUrl: string, roomId: string, token: string | null): Promise<{ pdf: RoomPdfInfo | null }> {
+  return roomRequest(serverUrl, roomId, token, '/pdf')
+}
+
+/**
+ * The room's PDF, if it has one
+ * @throws If the server can't be reached or refuses
+ */
+export async function fetchRoomPdf(serverUrl: string, roomId: string, token: string | null): Promise<{ name: string; data: ArrayBuffer } | null> {
+  const { pdf } = await roomPdfInfo(serverUrl, roomId, token)
+  if (!pdf) return null
+
+  const response = await fetch(`${httpUrl(serverUrl)}/rooms/${encodeURIComponent(roomId)}/pdf/${pdf.hash}`, {
+    headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+  })
+  if (!response.ok) throw new Error(`Failed to fetch the room's PDF (${response.status})`)
+  return { name: pdf.name, data: await response.arrayBuffer() }
+}
+
+/**
+ * Make `pdf` the room's PDF unless it already is; a room that has another
+ * PDF keeps it (the server answers 409 and this throws)
+ */
+export async function shareRoomPdf(serverUrl: string, roomId: string, token: string | null, pdf: Pdf): Promise<void> {
+  const { pdf: current } = await roomPdfInfo(serverUrl, roomId, token)
+  if (current?.hash === pdf.hash) return
+
+  const response = await fetch(`${httpUrl(serverUrl)}/rooms/${encodeURIComponent(roomId)}/pdf?name=${encodeURIComponent(pdf.name)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/pdf', ...(token ? { 'Authorization': `Bearer ${token}` } : {}) },
+    body: pdf.source,
+  })
+  const result = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(result.error || `PDF upload failed (${response.status})`)
+}
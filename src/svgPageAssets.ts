@@ -0,0 +1,44 @@
+// Asset store for SVG document pages
+// Page assets hold the page's URL, so snapshots stay small and nothing is
+// downloaded up front. tldraw only resolves assets for shapes that aren't
+// culled, so a page is fetched as it comes into view; the pages either side
+// are warmed up at the same time so scrolling doesn't wait on the network.
+
+import { inlineBase64AssetStore } from 'tldraw'
+import type { TLAssetStore } from 'tldraw'
+import type { SvgDocument } from './SvgDocument'
+
+const PREFETCH_PAGES = 1 // Pages either side of a visible one
+
+/**
+ * Asset store that serves SVG pages from their URLs
+ * Other assets (pasted images, ...) are stored inline as usual
+ */
+export function svgPageAssetStore(document: SvgDocument): TLAssetStore {
+  const pageIndexes = new Map(document.pages.map((page, i) => [page.assetId as string, i]))
+  const prefetched = new Set<number>()
+
+  function prefetch(pageIndex: number) {
+    const page = document.pages[pageIndex]
+    if (!page || prefetched.has(pageIndex)) return
+    prefetched.add(pageIndex)
+    // Into the HTTP cache; the <img> tldraw renders later picks it up from there
+    fetch(page.src).catch(() => prefetched.delete(pageIndex))
+  }
+
+  return {
+    ...inlineBase64AssetStore,
+    resolve(asset) {
+      const pageIndex = pageIndexes.get(asset.id)
+      if (pageIndex === undefined) return asset.props.src
+
+      prefetched.add(pageIndex)
+      for (let d = 1; d <= PREFETCH_PAGES; d++) {
+        prefetch(pageIndex - d)
+        prefetch(pageIndex + d)
+      }
+      // Rooms synced before pages were URL-backed carry data URLs; those still work as-is
+      return asset.props.src
+    },
+  }
+}
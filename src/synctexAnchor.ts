@@ -60,57 +60,3 @@ export async function resolvAnchor(
     return null
   }
 }
-
-/**
- * Convert canvas coordinates to PDF coordinates
- * This depends on how the SVG pages are laid out
- */
-export function canvasToPdf(
-  canvasX: number,
-  canvasY: number,
-  pages: Array<{ bounds: { x: number, y: number, width: number, height: number }, width: number, height: number }>
-): { page: number, x: number, y: number } | null {
-  for (let i = 0; i < pages.length; i++) {
-    const page = pages[i]
-    const bounds = page.bounds
-
-    // Check if point is within this page
-    if (canvasY >= bounds.y && canvasY < bounds.y + bounds.height) {
-      // Convert to page-local coordinates
-      const localX = canvasX - bounds.x
-      const localY = canvasY - bounds.y
-
-      // Scale from canvas units to PDF points (assuming 800px target width)
-      // PDF points are 72 per inch, typical page is 612x792 points (letter)
-      const scale = page.width / 800  // Original width / display width
-      const pdfX = localX * scale
-      const pdfY = localY * scale
-
-      return { page: i + 1, x: pdfX, y: pdfY }
-    }
-  }
-  return null
-}
-
-/**
- * Convert PDF coordinates back to canvas coordinates
- */
-export function pdfToCanvas(
-  pdfPage: number,
-  pdfX: number,
-  pdfY: number,
-  pages: Array<{ bounds: { x: number, y: number, width: number, height: number }, width: number, height: number }>
-): { x: number, y: number } | null {
-  const pageIndex = pdfPage - 1
-  if (pageIndex < 0 || pageIndex >= pages.length) return null
-
-  const page = pages[pageIndex]
-  const bounds = page.bounds
-
-  // Scale from PDF points to canvas units
-  const scale = 800 / page.width
-  const canvasX = bounds.x + pdfX * scale
-  const canvasY = bounds.y + pdfY * scale
-
-  return { x: canvasX, y: canvasY }
-}
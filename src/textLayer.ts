@@ -0,0 +1,267 @@
+// Text layer: where each word sits on the canvas, per page
+// Built from pdf.js text content for PDFs and from the <text> elements of
+// dvisvgm pages, so tools can snap to words instead of freehand strokes.
+
+import type { PDFDocumentProxy } from 'pdfjs-dist'
+import { pdfToCanvas } from './pageGeometry.js'
+import type { PageGeometry } from './pageGeometry.js'
+
+export interface TextBox {
+  x: number
+  y: number
+  w: number
+  h: number
+}
+
+// A run of glyphs on one baseline, as the source gives it to us (canvas units)
+export interface TextRun {
+  text: string
+  x: number       // Left edge
+  y: number       // Baseline
+  w: number
+  h: number       // Font size
+}
+
+export interface TextWord {
+  text: string
+  box: TextBox
+}
+
+export interface TextLine {
+  words: TextWord[]
+  box: TextBox
+}
+
+export interface TextLayer {
+  /** Canvas bounds of each page, in page order */
+  pageBounds: TextBox[]
+  /** Lines of text on a page, in reading order (loaded on first use) */
+  getLines(pageIndex: number): Promise<TextLine[]>
+  /** Lines if already loaded */
+  peekLines(pageIndex: number): TextLine[] | undefined
+}
+
+const WORD_GAP = 0.15   // Em; wider gaps between runs are spaces (dvisvgm drops the space glyphs)
+const COLUMN_GAP = 2    // Em; wider gaps start a new line (next column)
+const ASCENT = 0.75     // Em above the baseline a word box reaches
+const DESCENT = 0.25    // Em below it
+
+// Active text layer - set by whichever editor is showing a document
+let activeTextLayer: TextLayer | null = null
+
+export function setActiveTextLayer(layer: TextLayer | null) {
+  activeTextLayer = layer
+}
+
+export function getActiveTextLayer(): TextLayer | null {
+  return activeTextLayer
+}
+
+export function unionBoxes(boxes: TextBox[]): TextBox {
+  const x = Math.min(...boxes.map(b => b.x))
+  const y = Math.min(...boxes.map(b => b.y))
+  const maxX = Math.max(...boxes.map(b => b.x + b.w))
+  const maxY = Math.max(...boxes.map(b => b.y + b.h))
+  return { x, y, w: maxX - x, h: maxY - y }
+}
+
+// Split a run on its own spaces; glyph widths are unknown, so share the width out by character
+function splitRun(run: TextRun): TextWord[] {
+  const words: TextWord[] = []
+  const charWidth = run.w / Math.max(run.text.length, 1)
+  const pattern = /\S+/g
+  let match
+  while ((match = pattern.exec(run.text))) {
+    words.push({
+      text: match[0],
+      box: {
+        x: run.x + match.index * charWidth,
+        y: run.y - run.h * ASCENT,
+        w: match[0].length * charWidth,
+        h: run.h * (ASCENT + DESCENT),
+      },
+    })
+  }
+  return words
+}
+
+/**
+ * Group runs into lines of words
+ * Runs whose baselines are close share a line; runs that nearly touch are one word
+ * @param runs - In any order
+ * @returns Lines top to bottom, words left to right
+ */
+export function buildLines(runs: TextRun[]): TextLine[] {
+  const sorted = runs
+    .filter(run => run.text.trim() && run.h > 0)
+    .sort((a, b) => a.y - b.y || a.x - b.x)
+
+  // Baseline groups; sub- and superscripts fall within half an em of the line
+  const groups: TextRun[][] = []
+  for (const run of sorted) {
+    const group = groups.find(g => Math.abs(g[0].y - run.y) < Math.min(g[0].h, run.h) * 0.5)
+    if (group) group.push(run)
+    else groups.push([run])
+  }
+
+  const lines: TextLine[] = []
+  for (const group of groups) {
+    group.sort((a, b) => a.x - b.x)
+    let words: TextWord[] = []
+    let prev: TextRun | null = null
+
+    for (const run of group) {
+      const gap = prev ? run.x - (prev.x + prev.w) : 0
+      const em = prev ? Math.max(prev.h, run.h) : run.h
+
+      if (prev && gap > em * COLUMN_GAP) {
+        lines.push({ words, box: unionBoxes(words.map(w => w.box)) })
+        words = []
+      }
+
+      const runWords = splitRun(run)
+      const last = words[words.length - 1]
+      if (prev && last && runWords.length && gap <= em * WORD_GAP && !/^\s/.test(run.text) && !/\s$/.test(prev.text)) {
+        // Kerned or font-switched pieces of the same word
+        const [first, ...rest] = runWords
+        words[words.length - 1] = { text: last.text + first.text, box: unionBoxes([last.box, first.box]) }
+        words.push(...rest)
+      } else {
+        words.push(...runWords)
+      }
+      prev = run
+    }
+    if (words.length) lines.push({ words, box: unionBoxes(words.map(w => w.box)) })
+  }
+
+  // Reading order: columns left to right, then top to bottom within a column
+  return lines.sort((a, b) => {
+    const sameColumn = a.box.x < b.box.x + b.box.w && b.box.x < a.box.x + a.box.w
+    return sameColumn ? a.box.y - b.box.y : a.box.x - b.box.x
+  })
+}
+
+/**
+ * Text layer over pages whose runs come from `loadRuns`
+ */
+export function createTextLayer(pageBounds: TextBox[], loadRuns: (pageIndex: number) => Promise<TextRun[]>): TextLayer {
+  const loaded = new Map<number, TextLine[]>()
+  const loading = new Map<number, Promise<TextLine[]>>()
+
+  return {
+    pageBounds,
+    getLines(pageIndex) {
+      const lines = loaded.get(pageIndex)
+      if (lines) return Promise.resolve(lines)
+      if (!loading.has(pageIndex)) {
+        loading.set(pageIndex, loadRuns(pageIndex).then(runs => {
+          const lines = buildLines(runs)
+          loaded.set(pageIndex, lines)
+          return lines
+        }).catch(e => {
+          console.error(`Text layer for page ${pageIndex + 1} failed:`, e)
+          return []
+        }).finally(() => loading.delete(pageIndex)))
+      }
+      return loading.get(pageIndex)!
+    },
+    peekLines(pageIndex) {
+      return loaded.get(pageIndex)
+    },
+  }
+}
+
+// a·b for pdf.js 6-element transforms
+function multiply(a: number[], b: number[]): number[] {
+  return [
+    a[0] * b[0] + a[2] * b[1],
+    a[1] * b[0] + a[3] * b[1],
+    a[0] * b[2] + a[2] * b[3],
+    a[1] * b[2] + a[3] * b[3],
+    a[0] * b[4] + a[2] * b[5] + a[4],
+    a[1] * b[4] + a[3] * b[5] + a[5],
+  ]
+}
+
+/**
+ * Text layer for a PDF, from pdf.js text content
+ * @param document - The PDF
+ * @param pageBounds - Canvas bounds of each page
+ * @param unitsPerPoint - Canvas units per PDF point
+ */
+export function pdfTextLayer(document: PDFDocumentProxy, pageBounds: TextBox[], unitsPerPoint: number): TextLayer {
+  return createTextLayer(pageBounds, async (pageIndex) => {
+    const page = await document.getPage(pageIndex + 1)
+    const viewport = page.getViewport({ scale: unitsPerPoint })
+    const content = await page.getTextContent()
+    const bounds = pageBounds[pageIndex]
+
+    const runs: TextRun[] = []
+    for (const item of content.items) {
+      if (!('str' in item) || !item.str) continue
+      const [, , c, d, e, f] = multiply(viewport.transform, item.transform)
+      runs.push({
+        text: item.str,
+        x: bounds.x + e,
+        y: bounds.y + f,
+        w: item.width * unitsPerPoint,
+        h: Math.hypot(c, d),
+      })
+    }
+    return runs
+  })
+}
+
+/**
+ * Text layer for dvisvgm pages, from their <text> and <tspan> elements
+ * Glyph widths need the embedded fonts, so pages are measured in a hidden SVG
+ * @param pageUrls - SVG URL of each page
+ * @param geometry - Page layout
+ */
+export function svgTextLayer(pageUrls: string[], geometry: PageGeometry[]): TextLayer {
+  const pageBounds = geometry.map(({ bounds }) => ({ x: bounds.x, y: bounds.y, w: bounds.width, h: bounds.height }))
+
+  return createTextLayer(pageBounds, async (pageIndex) => {
+    const response = await fetch(pageUrls[pageIndex])
+    if (!response.ok) throw new Error(`Failed to fetch ${pageUrls[pageIndex]}`)
+    const svgText = await response.text()
+
+    const host = window.document.createElement('div')
+    host.style.cssText = 'position:absolute;left:-10000px;top:0;visibility:hidden;pointer-events:none'
+    host.innerHTML = svgText.replace(/^<\?xml[^>]*>/, '')
+    window.document.body.appendChild(host)
+
+    try {
+      // Lay the page out so its embedded fonts start loading, then wait for them
+      host.getBoundingClientRect()
+      await window.document.fonts.ready
+      const page = geometry[pageIndex]
+      const scale = page.bounds.width / page.width
+
+      const runs: TextRun[] = []
+      for (const element of host.querySelectorAll<SVGTextContentElement>('text, tspan')) {
+        // The text's own characters, not those of its tspans
+        const text = [...element.childNodes]
+          .filter(node => node.nodeType === Node.TEXT_NODE)
+          .map(node => node.textContent ?? '')
+          .join('')
+        if (!text.trim()) continue
+
+        const chars = element.getNumberOfChars()
+        if (chars === 0) continue
+        const start = element.getStartPositionOfChar(0)
+        const fontSize = parseFloat(getComputedStyle(element).fontSize) || 10
+        // Only the element's leading text node is measured; tspans are visited separately
+        const width = element.getSubStringLength(0, Math.min(text.length, chars))
+
+        // SVG user units are PDF points from the page's top-left (see pageGeometry)
+        const origin = pdfToCanvas(geometry, page.page, start.x, start.y)
+        if (!origin) continue
+        runs.push({ text, x: origin.x, y: origin.y, w: width * scale, h: fontSize * scale })
+      }
+      return runs
+    } finally {
+      host.remove()
+    }
+  })
+}
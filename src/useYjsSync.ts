@@ -1,15 +1,64 @@
 // Yjs sync hook for TLDraw
-// Syncs TLDraw store with a Yjs document over WebSocket
+// Syncs TLDraw store with a Yjs document over WebSocket, using the y-protocols
+// sync protocol in binary frames: state vectors on connect, then incremental
+// updates, so traffic scales with edits rather than with the room's size
+// The document is also kept in IndexedDB per room, so annotations load and can
+// be edited offline; the socket reconnects with backoff, and the state vector
+// exchange on reconnect merges whatever either side did in the meantime.
+// Presence (cursors, viewports) rides along as Yjs awareness (see yjsPresence).
 // Note: Page images (SVG backgrounds) are NOT synced - only annotations
 
-import { useEffect, useRef } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import * as Y from 'yjs'
-import type { Editor, TLRecord } from 'tldraw'
+import { IndexeddbPersistence } from 'y-indexeddb'
+import * as syncProtocol from 'y-protocols/sync'
+import * as awarenessProtocol from 'y-protocols/awareness'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+import type { Editor, RecordsDiff, TLRecord } from 'tldraw'
+import { bindPresence } from './yjsPresence'
+
+// Top-level message types (see server/sync-server.js)
+const MESSAGE_SYNC = 0
+const MESSAGE_AWARENESS = 1
+
+// Transaction origins: changes that arrived over the socket, and changes made
+// in this editor (which must not be echoed back into it)
+const REMOTE = Symbol('remote')
+const LOCAL = Symbol('local')
+
+const RECONNECT_MIN_DELAY = 1000  // ms
+const RECONNECT_MAX_DELAY = 30000 // ms
+const CLOSE_REFUSED = 4400        // 4400-4499: the server refused the room or token; don't retry
+const LOCAL_LOAD_TIMEOUT = 5000   // ms
+
+/**
+ * offline: no connection (edits are kept locally)
+ * syncing: connected, exchanging changes with the server
+ * online: connected and up to date
+ * denied: the server refused the room name or token
+ */
+export type SyncStatus = 'offline' | 'syncing' | 'online' | 'denied'
+
+function syncMessage(write: (encoder: encoding.Encoder) => void): Uint8Array {
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, MESSAGE_SYNC)
+  write(encoder)
+  return encoding.toUint8Array(encoder)
+}
+
+function awarenessMessage(awareness: awarenessProtocol.Awareness, clients: number[]): Uint8Array {
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, MESSAGE_AWARENESS)
+  encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, clients))
+  return encoding.toUint8Array(encoder)
+}
 
 interface YjsSyncOptions {
   editor: Editor
   roomId: string
   serverUrl?: string
+  token?: string | null                     // Signed room token (see roomAccess)
 }
 
 // Check if a record is a page background (should not be synced)
@@ -18,9 +67,10 @@ function isPageBackground(record: TLRecord): boolean {
   return record.id.includes('-page-')
 }
 
-export function useYjsSync({ editor, roomId, serverUrl = 'ws://localhost:5176' }: YjsSyncOptions) {
+export function useYjsSync({ editor, roomId, serverUrl = 'ws://localhost:5176', token }: YjsSyncOptions): SyncStatus {
   const docRef = useRef<Y.Doc | null>(null)
   const wsRef = useRef<WebSocket | null>(null)
+  const [status, setStatus] = useState<SyncStatus>('offline')
 
   useEffect(() => {
     const doc = new Y.Doc()
@@ -30,172 +80,282 @@ export function useYjsSync({ editor, roomId, serverUrl = 'ws://localhost:5176' }
     const yRecords = doc.getMap<TLRecord>('tldraw')
 
     // Track sync state
-    let isRemoteUpdate = false
     let hasReceivedInitialSync = false
+    let hasLoadedLocal = false
+    let hasRoomContent = false // Records from IndexedDB or the server, not just our own edits
+    let disposed = false
     let unsubscribe: (() => void) | null = null
 
-    // Connect WebSocket
-    const ws = new WebSocket(`${serverUrl}/${roomId}`)
-    wsRef.current = ws
+    // Sync Y.Map changes to TLDraw (from the server or from IndexedDB)
+    yRecords.observe((event) => {
+      if (event.transaction.origin === LOCAL) return
+      if (yRecords.size > 0) hasRoomContent = true
+      try {
+        const toPut: TLRecord[] = []
+        const toRemove: TLRecord['id'][] = []
 
-    ws.onopen = () => {
-      console.log(`[Yjs] Connected to ${roomId}`)
-    }
+        event.changes.keys.forEach((change, key) => {
+          // Skip page backgrounds
+          if (key.includes('-page-')) return
+
+          if (change.action === 'add' || change.action === 'update') {
+            const record = yRecords.get(key)
+            if (record) toPut.push(record)
+          } else if (change.action === 'delete') {
+            toRemove.push(key as TLRecord['id'])
+          }
+        })
+
+        editor.store.mergeRemoteChanges(() => {
+          if (toRemove.length) editor.store.remove(toRemove)
+          if (toPut.length) editor.store.put(toPut)
+        })
+      } catch (e) {
+        console.error('[Yjs] Failed to apply remote changes:', e)
+      }
+    })
 
-    ws.onmessage = (event) => {
+    // Presence: our own awareness changes go to the server (renewed every 15s
+    // by the awareness itself); other clients' arrive in onmessage
+    const awareness = new awarenessProtocol.Awareness(doc)
+    const stopPresence = bindPresence(editor, awareness)
+    awareness.on('update', ({ added, updated, removed }: { added: number[], updated: number[], removed: number[] }, origin: unknown) => {
+      if (origin !== 'local') return
+      send(awarenessMessage(awareness, [...added, ...updated, ...removed]))
+    })
+
+    // Mirror editor changes into the document, so edits are kept whether or not
+    // we're connected. Until the local copy has loaded they're held back and
+    // applied on top of it, rather than lost
+    let heldChanges: RecordsDiff<TLRecord>[] = []
+
+    function writeChanges(changes: RecordsDiff<TLRecord>) {
       try {
-        const msg = JSON.parse(event.data)
-        if (msg.type === 'sync' || msg.type === 'update') {
-          isRemoteUpdate = true
-          try {
-            const update = new Uint8Array(msg.data)
-            Y.applyUpdate(doc, update)
-          } catch (e) {
-            console.error('[Yjs] Failed to apply update:', e)
+        doc.transact(() => {
+          for (const record of Object.values(changes.added)) {
+            if (!isPageBackground(record)) {
+              yRecords.set(record.id, record)
+            }
           }
-          isRemoteUpdate = false
-
-          // After receiving initial sync, set up bidirectional sync
-          if (msg.type === 'sync' && !hasReceivedInitialSync) {
-            hasReceivedInitialSync = true
-            console.log(`[Yjs] Initial sync received (${yRecords.size} records from server)`)
-            try {
-              setupBidirectionalSync()
-            } catch (e) {
-              console.error('[Yjs] Failed to setup bidirectional sync:', e)
+          for (const [, to] of Object.values(changes.updated)) {
+            if (!isPageBackground(to)) {
+              yRecords.set(to.id, to)
             }
           }
-        }
+          for (const record of Object.values(changes.removed)) {
+            if (!isPageBackground(record)) {
+              yRecords.delete(record.id)
+            }
+          }
+        }, LOCAL)
       } catch (e) {
-        console.error('[Yjs] Message error:', e)
+        console.error('[Yjs] Failed to sync local changes:', e)
       }
     }
 
-    ws.onclose = () => {
-      console.log('[Yjs] Disconnected')
-    }
+    const unlisten = editor.store.listen(({ changes }) => {
+      if (hasLoadedLocal) writeChanges(changes)
+      else heldChanges.push(changes)
+    }, { source: 'user', scope: 'document' })
+
+    // Local copy of the room: loads what was there last time (including edits
+    // made offline) and stores every change from here on
+    // IndexedDB can be unavailable (private browsing) and then never reports
+    // back, so don't hold sync up waiting on it forever
+    const persistence = new IndexeddbPersistence(`tldraw-${roomId}`, doc)
+    const localTimeout = new Promise<never>((_, reject) => {
+      setTimeout(() => reject(new Error('timed out')), LOCAL_LOAD_TIMEOUT)
+    })
+    Promise.race([persistence.whenSynced, localTimeout]).then(() => {
+      console.log(`[Yjs] Loaded ${yRecords.size} records from local storage`)
+    }).catch(e => {
+      console.error('[Yjs] Local storage unavailable:', e)
+    }).finally(() => {
+      if (disposed) return
+      hasLoadedLocal = true
+      startLocalSync()
+      for (const changes of heldChanges) writeChanges(changes)
+      heldChanges = []
+      seedEmptyRoom()
+    })
 
-    ws.onerror = (err) => {
-      console.error('[Yjs] WebSocket error:', err)
+    // Connection, reopened with exponential backoff while the component lives
+    let ws: WebSocket | null = null
+    let reconnectAttempts = 0
+    let reconnectTimeout: ReturnType<typeof setTimeout> | null = null
+
+    function send(message: Uint8Array) {
+      if (ws?.readyState === WebSocket.OPEN) ws.send(message)
     }
 
-    // Sync Y.Map changes to TLDraw
-    yRecords.observe((event) => {
-      if (isRemoteUpdate) {
-        try {
-          // Apply remote changes to TLDraw
-          const toAdd: TLRecord[] = []
-          const toUpdate: TLRecord[] = []
-          const toRemove: TLRecord['id'][] = []
-
-          event.changes.keys.forEach((change, key) => {
-            // Skip page backgrounds
-            if (key.includes('-page-')) return
-
-            if (change.action === 'add') {
-              const record = yRecords.get(key)
-              if (record) toAdd.push(record)
-            } else if (change.action === 'update') {
-              const record = yRecords.get(key)
-              if (record) toUpdate.push(record)
-            } else if (change.action === 'delete') {
-              toRemove.push(key as TLRecord['id'])
-            }
-          })
+    function connect() {
+      if (disposed) return
+      reconnectTimeout = null
+      const query = token ? `?token=${encodeURIComponent(token)}` : ''
+      const socket = new WebSocket(`${serverUrl}/${encodeURIComponent(roomId)}${query}`)
+      socket.binaryType = 'arraybuffer'
+      ws = socket
+      wsRef.current = socket
 
-          editor.store.mergeRemoteChanges(() => {
-            if (toRemove.length) editor.store.remove(toRemove)
-            if (toAdd.length) editor.store.put(toAdd)
-            if (toUpdate.length) editor.store.put(toUpdate)
-          })
-        } catch (e) {
-          console.error('[Yjs] Failed to apply remote changes:', e)
-        }
+      socket.onopen = () => {
+        console.log(`[Yjs] Connected to ${roomId}`)
+        reconnectAttempts = 0
+        setStatus('syncing')
+        // Our state vector; the server replies with what we're missing
+        send(syncMessage(encoder => syncProtocol.writeSyncStep1(encoder, doc)))
+        if (awareness.getLocalState()) send(awarenessMessage(awareness, [doc.clientID]))
       }
-    })
 
-    function setupBidirectionalSync() {
-      // If server had no data, push our local state (excluding page backgrounds)
-      if (yRecords.size === 0) {
-        console.log('[Yjs] Server empty, pushing local state')
-        const allRecords = editor.store.allRecords()
-        const toSync = allRecords.filter(r => !isPageBackground(r))
-        console.log(`[Yjs] Syncing ${toSync.length} records (excluding ${allRecords.length - toSync.length} page backgrounds)`)
-        doc.transact(() => {
-          for (const record of toSync) {
-            yRecords.set(record.id, record)
+      socket.onmessage = (event) => {
+        try {
+          const decoder = decoding.createDecoder(new Uint8Array(event.data))
+          const topLevelType = decoding.readVarUint(decoder)
+          if (topLevelType === MESSAGE_AWARENESS) {
+            awarenessProtocol.applyAwarenessUpdate(awareness, decoding.readVarUint8Array(decoder), REMOTE)
+            return
           }
-        })
-        // Send to server
-        if (ws.readyState === WebSocket.OPEN) {
-          const update = Y.encodeStateAsUpdate(doc)
-          ws.send(JSON.stringify({ type: 'update', data: Array.from(update) }))
-        }
-      }
-
-      // Throttle sending updates to server
-      let sendTimeout: ReturnType<typeof setTimeout> | null = null
-      let pendingSend = false
+          if (topLevelType !== MESSAGE_SYNC) return
 
-      function sendUpdate() {
-        if (ws.readyState === WebSocket.OPEN) {
+          const encoder = encoding.createEncoder()
+          encoding.writeVarUint(encoder, MESSAGE_SYNC)
+          let messageType: number
           try {
-            const update = Y.encodeStateAsUpdate(doc)
-            ws.send(JSON.stringify({ type: 'update', data: Array.from(update) }))
+            messageType = syncProtocol.readSyncMessage(decoder, encoder, doc, REMOTE)
           } catch (e) {
-            console.error('[Yjs] Failed to send update:', e)
+            console.error('[Yjs] Failed to apply update:', e)
+            return
           }
+          // The server's step 1 gets a step 2 reply with what it's missing,
+          // which includes any edits made while we were offline
+          if (encoding.length(encoder) > 1) send(encoding.toUint8Array(encoder))
+
+          if (messageType === syncProtocol.messageYjsSyncStep2) {
+            setStatus('online')
+            if (!hasReceivedInitialSync) {
+              hasReceivedInitialSync = true
+              console.log(`[Yjs] Initial sync received (${yRecords.size} records)`)
+              seedEmptyRoom()
+            }
+          }
+        } catch (e) {
+          console.error('[Yjs] Message error:', e)
         }
-        pendingSend = false
       }
 
-      function throttledSend() {
-        if (sendTimeout) return // Already scheduled
-        if (pendingSend) {
-          sendTimeout = setTimeout(() => {
-            sendTimeout = null
-            sendUpdate()
-          }, 100) // Throttle to max 10 updates/second
-        } else {
-          pendingSend = true
-          sendUpdate()
+      socket.onclose = (event) => {
+        if (ws !== socket) return
+        ws = null
+        if (disposed) return
+        if (event.code >= CLOSE_REFUSED && event.code < CLOSE_REFUSED + 100) {
+          console.error(`[Yjs] Server refused ${roomId}: ${event.reason}`)
+          setStatus('denied')
+          return
         }
+        setStatus('offline')
+        // Whoever we could see may have left meanwhile; the server resends who's here
+        const others = [...awareness.getStates().keys()].filter(client => client !== doc.clientID)
+        awarenessProtocol.removeAwarenessStates(awareness, others, REMOTE)
+        const delay = Math.min(RECONNECT_MIN_DELAY * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY)
+        reconnectAttempts++
+        console.log(`[Yjs] Disconnected, retrying in ${Math.round(delay / 1000)}s`)
+        reconnectTimeout = setTimeout(connect, delay * (0.75 + Math.random() / 2))
       }
 
-      // Now listen for local changes and sync to server
-      unsubscribe = editor.store.listen(({ changes }) => {
-        if (isRemoteUpdate) return
+      socket.onerror = (err) => {
+        console.error('[Yjs] WebSocket error:', err)
+      }
+    }
 
-        try {
-          doc.transact(() => {
-            for (const record of Object.values(changes.added)) {
-              if (!isPageBackground(record)) {
-                yRecords.set(record.id, record)
-              }
-            }
-            for (const [, to] of Object.values(changes.updated)) {
-              if (!isPageBackground(to)) {
-                yRecords.set(to.id, to)
-              }
-            }
-            for (const record of Object.values(changes.removed)) {
-              if (!isPageBackground(record)) {
-                yRecords.delete(record.id)
-              }
-            }
-          })
+    // Back online: don't wait out the backoff
+    const handleOnline = () => {
+      if (ws || disposed) return
+      if (reconnectTimeout) clearTimeout(reconnectTimeout)
+      reconnectAttempts = 0
+      connect()
+    }
+    window.addEventListener('online', handleOnline)
+
+    connect()
+
+    // If neither this device nor the server had anything for the room, push
+    // our local state (excluding page backgrounds); waits for both to be known.
+    // A room with content wins instead: shapes the editor set up before sync
+    // that the room doesn't have (e.g. a PDF's own annotations someone since
+    // deleted) are dropped
+    function seedEmptyRoom() {
+      if (!hasLoadedLocal || !hasReceivedInitialSync) return
+      if (hasRoomContent) {
+        const stale = editor.getCurrentPageShapes()
+          .filter(shape => !isPageBackground(shape) && !yRecords.has(shape.id))
+          .map(shape => shape.id)
+        if (stale.length) {
+          console.log(`[Yjs] Dropping ${stale.length} local shapes the room doesn't have`)
+          editor.store.mergeRemoteChanges(() => editor.store.remove(stale))
+        }
+        return
+      }
+      console.log('[Yjs] Room empty, pushing local state')
+      const allRecords = editor.store.allRecords()
+      const toSync = allRecords.filter(r => !isPageBackground(r))
+      console.log(`[Yjs] Syncing ${toSync.length} records (excluding ${allRecords.length - toSync.length} page backgrounds)`)
+      doc.transact(() => {
+        for (const record of toSync) {
+          yRecords.set(record.id, record)
+        }
+      }, LOCAL)
+    }
 
-          throttledSend()
+    // Send the document's local changes to the server once the local copy is loaded
+    function startLocalSync() {
+      // Local changes go out as incremental updates, merged per throttle window;
+      // while offline they only reach IndexedDB, and the next sync step 2 carries them
+      let pendingUpdates: Uint8Array[] = []
+      let sendTimeout: ReturnType<typeof setTimeout> | null = null
+
+      function sendUpdates() {
+        sendTimeout = null
+        if (pendingUpdates.length === 0) return
+        const update = Y.mergeUpdates(pendingUpdates)
+        pendingUpdates = []
+        if (ws?.readyState !== WebSocket.OPEN) return
+        try {
+          send(syncMessage(encoder => syncProtocol.writeUpdate(encoder, update)))
+          if (hasReceivedInitialSync) setStatus('online')
         } catch (e) {
-          console.error('[Yjs] Failed to sync local changes:', e)
+          console.error('[Yjs] Failed to send update:', e)
         }
-      }, { source: 'user', scope: 'document' })
+      }
+
+      const handleUpdate = (update: Uint8Array, origin: unknown) => {
+        if (origin !== LOCAL) return
+        pendingUpdates.push(update)
+        if (ws?.readyState === WebSocket.OPEN) setStatus('syncing')
+        if (!sendTimeout) sendTimeout = setTimeout(sendUpdates, 100) // Throttle to max 10 updates/second
+      }
+      doc.on('update', handleUpdate)
+
+      unsubscribe = () => {
+        doc.off('update', handleUpdate)
+        if (sendTimeout) clearTimeout(sendTimeout)
+        sendUpdates()
+      }
     }
 
     return () => {
+      disposed = true
+      unlisten()
       if (unsubscribe) unsubscribe()
-      ws.close()
+      stopPresence()
+      // Tell the others we've left, while the socket is still open
+      awarenessProtocol.removeAwarenessStates(awareness, [doc.clientID], 'local')
+      awareness.destroy()
+      window.removeEventListener('online', handleOnline)
+      if (reconnectTimeout) clearTimeout(reconnectTimeout)
+      ws?.close()
+      persistence.destroy()
       doc.destroy()
     }
-  }, [editor, roomId, serverUrl])
+  }, [editor, roomId, serverUrl, token])
+
+  return status
 }
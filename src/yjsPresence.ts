@@ -0,0 +1,81 @@
+// Presence over Yjs awareness
+// Our tldraw presence (name, colour, cursor, camera, selection) goes into the
+// awareness state; other clients' states come back as instance_presence
+// records, which tldraw draws as live cursors and can follow.
+
+import { InstancePresenceRecordType, computed, createPresenceStateDerivation, react } from 'tldraw'
+import type { Editor, TLInstancePresence } from 'tldraw'
+import type { Awareness } from 'y-protocols/awareness'
+
+const PRESENCE_THROTTLE = 50 // ms between awareness updates while the pointer moves
+
+interface AwarenessChange {
+  added: number[]
+  updated: number[]
+  removed: number[]
+}
+
+function presenceId(clientId: number) {
+  return InstancePresenceRecordType.createId(String(clientId))
+}
+
+/**
+ * Publish this editor's presence and mirror everyone else's into its store
+ * @returns Stops both and clears the mirrored presence records
+ */
+export function bindPresence(editor: Editor, awareness: Awareness): () => void {
+  const user = computed('presence user', () => ({
+    id: editor.user.getId(),
+    name: editor.user.getName() || 'Reviewer',
+    color: editor.user.getColor(),
+  }))
+  const presence = createPresenceStateDerivation(user)(editor.store)
+
+  // Local → awareness, at most every PRESENCE_THROTTLE ms
+  let publishTimeout: ReturnType<typeof setTimeout> | null = null
+  const publish = () => {
+    publishTimeout = null
+    awareness.setLocalStateField('presence', presence.get())
+  }
+  const stopPublishing = react('publish presence', () => {
+    presence.get()
+    if (!publishTimeout) publishTimeout = setTimeout(publish, PRESENCE_THROTTLE)
+  })
+
+  // Awareness → store
+  const mirrored = new Set<TLInstancePresence['id']>()
+  const handleChange = ({ added, updated, removed }: AwarenessChange) => {
+    const states = awareness.getStates()
+    const toPut: TLInstancePresence[] = []
+    const toRemove: TLInstancePresence['id'][] = []
+
+    for (const clientId of [...added, ...updated, ...removed]) {
+      if (clientId === awareness.clientID) continue
+      const id = presenceId(clientId)
+      const state = states.get(clientId)?.presence as TLInstancePresence | null | undefined
+      if (state) {
+        toPut.push({ ...state, id })
+        mirrored.add(id)
+      } else if (mirrored.delete(id)) {
+        toRemove.push(id)
+      }
+    }
+
+    try {
+      editor.store.mergeRemoteChanges(() => {
+        if (toRemove.length) editor.store.remove(toRemove)
+        if (toPut.length) editor.store.put(toPut)
+      })
+    } catch (e) {
+      console.error('[Yjs] Failed to apply presence:', e)
+    }
+  }
+  awareness.on('change', handleChange)
+
+  return () => {
+    stopPublishing()
+    if (publishTimeout) clearTimeout(publishTimeout)
+    awareness.off('change', handleChange)
+    editor.store.mergeRemoteChanges(() => editor.store.remove([...mirrored]))
+  }
+}
@@ -2,7 +2,8 @@
 /**
  * Look up TeX source line from TLDraw annotation position
  *
- * The TLDraw canvas has SVG pages stacked vertically, scaled to ~800px wide.
+ * The TLDraw canvas has SVG pages stacked vertically, scaled to 800px wide
+ * (layout recorded per page in public/docs/manifest.json).
  * We need to:
  * 1. Figure out which page the annotation is on
  * 2. Map TLDraw coords back to original SVG/PDF coordinates
@@ -12,158 +13,73 @@
  *   node synctex-lookup.mjs <x> <y>                    # Auto-detect page from Y
  *   node synctex-lookup.mjs --page <N> <x> <y>         # Explicit page
  *   node synctex-lookup.mjs --from-snapshot            # Read from latest snapshot
+ *
+ * Add --doc <name> to pick a document from public/docs/manifest.json
+ * (defaults to the snapshot's document, or the only one registered).
  */
 
-import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { pdfToSource } from './scripts/synctex.js';
+import { loadGeometry } from './scripts/page-geometry.js';
+import { getDocument, resolveDocName, documentForSnapshot } from './scripts/doc-registry.js';
+import { canvasToPdf } from './src/pageGeometry.js';
 
 // Config
-const PDF_PATH = '/Users/skip/work/bregman-lower-bound/bregman-lower-bound.pdf';
-const SVG_DIR = '/Users/skip/work/claude-tldraw/public/docs';
 const SNAPSHOT_PATH = '/tmp/tldraw-snapshot.json';
 
-// TLDraw layout constants (from SvgDocument.tsx)
-const TARGET_WIDTH = 800;  // SVGs scaled to this width
-const PAGE_SPACING = 32;   // Gap between pages
-
-// Cache for page dimensions
-let pageCache = null;
-
-async function getPageDimensions() {
-  if (pageCache) return pageCache;
-
-  const pages = [];
-  let pageNum = 1;
-  let top = 0;
-
-  while (true) {
-    const svgPath = path.join(SVG_DIR, `page-${String(pageNum).padStart(2, '0')}.svg`);
-    if (!fs.existsSync(svgPath)) break;
-
-    const svgContent = fs.readFileSync(svgPath, 'utf8');
-
-    // Parse viewBox to get original dimensions and offset
-    const viewBoxMatch = svgContent.match(/viewBox=['"]([^'"]+)['"]/);
-    let viewBoxMinX = 0, viewBoxMinY = 0;
-    let origWidth = 600, origHeight = 800;
-
-    if (viewBoxMatch) {
-      const parts = viewBoxMatch[1].split(/\s+/);
-      if (parts.length === 4) {
-        viewBoxMinX = parseFloat(parts[0]) || 0;
-        viewBoxMinY = parseFloat(parts[1]) || 0;
-        origWidth = parseFloat(parts[2]) || origWidth;
-        origHeight = parseFloat(parts[3]) || origHeight;
-      }
-    }
-
-    // Also try width/height attributes
-    const widthMatch = svgContent.match(/width=['"]([0-9.]+)/);
-    const heightMatch = svgContent.match(/height=['"]([0-9.]+)/);
-    if (widthMatch) origWidth = parseFloat(widthMatch[1]);
-    if (heightMatch) origHeight = parseFloat(heightMatch[1]);
-
-    // Calculate scaled dimensions (matching SvgDocument.tsx)
-    const scale = TARGET_WIDTH / origWidth;
-    const scaledWidth = origWidth * scale;
-    const scaledHeight = origHeight * scale;
-
-    pages.push({
-      pageNum,
-      origWidth,
-      origHeight,
-      viewBoxMinX,
-      viewBoxMinY,
-      scaledWidth,
-      scaledHeight,
-      scale,
-      top,  // Y position in TLDraw
-      bottom: top + scaledHeight,
-    });
-
-    top += scaledHeight + PAGE_SPACING;
-    pageNum++;
-  }
-
-  pageCache = pages;
-  return pages;
-}
-
-function findPageForY(pages, y) {
-  for (const page of pages) {
-    if (y >= page.top && y < page.bottom) {
-      return page;
-    }
-  }
-  // Default to last page if beyond
-  return pages[pages.length - 1];
+// Page geometry shared with the client (see src/pageGeometry.js)
+async function getPageDimensions(docName) {
+  return loadGeometry(docName);
 }
 
 function tldrawToPdfCoords(pages, tlX, tlY) {
-  const page = findPageForY(pages, tlY);
-
-  // Get local coordinates within this page
-  const localX = tlX;
-  const localY = tlY - page.top;
-
-  // Unscale to original SVG/PDF coordinates
-  // Add viewBox offset since SVG may not start at (0,0)
-  const pdfX = localX / page.scale + page.viewBoxMinX;
-  const pdfY = localY / page.scale + page.viewBoxMinY;
-
-  return {
-    page: page.pageNum,
-    pdfX,
-    pdfY,
-    localX,
-    localY,
-    origWidth: page.origWidth,
-    origHeight: page.origHeight,
-  };
+  const pdf = canvasToPdf(pages, tlX, tlY);
+  return { page: pdf.page, pdfX: pdf.x, pdfY: pdf.y };
 }
 
-function synctexLookup(pageNum, pdfX, pdfY) {
-  // synctex edit -o page:x:y:file
+function synctexLookup(doc, pageNum, pdfX, pdfY) {
   // Coordinates are in big points (72 dpi) from top-left
-  const cmd = `synctex edit -o "${pageNum}:${pdfX}:${pdfY}:${PDF_PATH}"`;
-
-  try {
-    const output = execSync(cmd, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
-    return parseSynctexOutput(output);
-  } catch (e) {
-    if (e.stdout) {
-      return parseSynctexOutput(e.stdout);
-    }
-    return { error: e.message };
-  }
+  return pdfToSource(doc.pdfPath, pageNum, pdfX, pdfY) || {};
 }
 
-function parseSynctexOutput(output) {
-  const result = {};
-  const lines = output.split('\n');
-  for (const line of lines) {
-    const match = line.match(/^(\w+):(.+)$/);
-    if (match) {
-      const key = match[1].toLowerCase();
-      const value = match[2];
-      if (key === 'line' || key === 'column') {
-        result[key] = parseInt(value);
-      } else {
-        result[key] = value;
-      }
-    }
-  }
-  return result;
+/**
+ * Look up the TeX source for a batch of TLDraw canvas points
+ * Returns one entry per point: the object the CLI prints after "JSON:", or null
+ * @param {Array<{ x: number, y: number }>} points
+ * @param {string} [docName] - Document in the manifest (default: the only one)
+ */
+export async function lookupTldrawPoints(points, docName) {
+  const doc = getDocument(resolveDocName(docName));
+  if (!doc.pdfPath) return points.map(() => null);
+
+  const pages = await getPageDimensions(doc.id);
+  if (pages.length === 0) return points.map(() => null);
+
+  return points.map(({ x, y }) => {
+    const coords = tldrawToPdfCoords(pages, x, y);
+    const result = synctexLookup(doc, coords.page, coords.pdfX, coords.pdfY);
+    if (!result.file || !result.line) return null;
+
+    return {
+      file: result.file,
+      line: result.line,
+      page: coords.page,
+      tldraw: { x, y },
+      pdf: { x: coords.pdfX, y: coords.pdfY },
+    };
+  });
 }
 
-function readAnnotationsFromSnapshot() {
+function readSnapshot() {
   if (!fs.existsSync(SNAPSHOT_PATH)) {
     console.error('No snapshot found at', SNAPSHOT_PATH);
-    return [];
+    return { store: {} };
   }
+  return JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8'));
+}
 
-  const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8'));
+function readAnnotationsFromSnapshot(snapshot) {
   const annotations = [];
 
   for (const [id, record] of Object.entries(snapshot.store || {})) {
@@ -184,38 +100,48 @@ function readAnnotationsFromSnapshot() {
 async function main() {
   const args = process.argv.slice(2);
 
+  // --doc <name> may appear anywhere
+  let docArg;
+  const docFlag = args.indexOf('--doc');
+  if (docFlag !== -1) {
+    docArg = args[docFlag + 1];
+    args.splice(docFlag, 2);
+  }
+
+  const snapshot = args[0] === '--from-snapshot' ? readSnapshot() : null;
+  const doc = getDocument(resolveDocName(docArg || (snapshot && documentForSnapshot(snapshot)) || undefined));
+
   // Check prerequisites
-  if (!fs.existsSync(PDF_PATH)) {
-    console.error(`PDF not found: ${PDF_PATH}`);
-    console.error('Run: pdflatex -synctex=1 bregman-lower-bound.tex');
+  if (!doc.pdfPath || !fs.existsSync(doc.pdfPath)) {
+    console.error(`PDF not found for ${doc.id}: ${doc.pdfPath || '(no texPath in doc-sources.json)'}`);
+    console.error('Register it with: node scripts/doc-registry.js register <name> <file.tex>');
     process.exit(1);
   }
 
-  const synctexPath = PDF_PATH.replace(/\.pdf$/, '.synctex.gz');
-  if (!fs.existsSync(synctexPath)) {
-    console.error(`Synctex not found: ${synctexPath}`);
-    console.error('Run: pdflatex -synctex=1 bregman-lower-bound.tex');
+  if (!fs.existsSync(doc.synctexPath)) {
+    console.error(`Synctex not found: ${doc.synctexPath}`);
+    console.error(`Run: pdflatex -synctex=1 ${path.basename(doc.texPath)}`);
     process.exit(1);
   }
 
-  const pages = await getPageDimensions();
-  console.log(`Loaded ${pages.length} page dimensions`);
+  const pages = await getPageDimensions(doc.id);
+  console.log(`Loaded ${pages.length} page dimensions for ${doc.id}`);
 
-  if (args[0] === '--from-snapshot') {
+  if (snapshot) {
     // Process all annotations from snapshot
-    const annotations = readAnnotationsFromSnapshot();
+    const annotations = readAnnotationsFromSnapshot(snapshot);
     console.log(`Found ${annotations.length} annotations\n`);
 
     for (const ann of annotations) {
       const coords = tldrawToPdfCoords(pages, ann.x, ann.y);
-      const result = synctexLookup(coords.page, coords.pdfX, coords.pdfY);
+      const result = synctexLookup(doc, coords.page, coords.pdfX, coords.pdfY);
 
       console.log(`${ann.type} (${ann.color || 'default'}) at TLDraw (${ann.x.toFixed(0)}, ${ann.y.toFixed(0)})`);
       console.log(`  → Page ${coords.page}, PDF coords (${coords.pdfX.toFixed(1)}, ${coords.pdfY.toFixed(1)})`);
 
-      if (result.input && result.line) {
-        const relPath = path.relative(process.cwd(), result.input);
-        const absPath = path.resolve(result.input);
+      if (result.file && result.line) {
+        const relPath = path.relative(process.cwd(), result.file);
+        const absPath = path.resolve(result.file);
         console.log(`  → ${relPath}:${result.line}`);
         console.log(`  → texsync://file${absPath}:${result.line}`);
       } else {
@@ -233,15 +159,15 @@ async function main() {
       y = parseFloat(args[3]);
       // Convert page-local coords to global
       const page = pages[pageNum - 1];
-      y = page.top + y;
+      y = page.bounds.y + y;
     } else {
       x = parseFloat(args[0]);
       y = parseFloat(args[1]);
     }
 
     if (isNaN(x) || isNaN(y)) {
-      console.error('Usage: node synctex-lookup.mjs <x> <y>');
-      console.error('       node synctex-lookup.mjs --from-snapshot');
+      console.error('Usage: node synctex-lookup.mjs [--doc <name>] <x> <y>');
+      console.error('       node synctex-lookup.mjs [--doc <name>] --from-snapshot');
       process.exit(1);
     }
 
@@ -249,11 +175,11 @@ async function main() {
     console.log(`TLDraw coords: (${x.toFixed(1)}, ${y.toFixed(1)})`);
     console.log(`Page ${coords.page}, PDF coords: (${coords.pdfX.toFixed(1)}, ${coords.pdfY.toFixed(1)})`);
 
-    const result = synctexLookup(coords.page, coords.pdfX, coords.pdfY);
+    const result = synctexLookup(doc, coords.page, coords.pdfX, coords.pdfY);
 
-    if (result.input && result.line) {
-      const absPath = path.resolve(result.input);
-      console.log(`\nSource: ${result.input}:${result.line}`);
+    if (result.file && result.line) {
+      const absPath = path.resolve(result.file);
+      console.log(`\nSource: ${result.file}:${result.line}`);
       console.log(`texsync://file${absPath}:${result.line}`);
 
       console.log('\nJSON:', JSON.stringify({
@@ -269,7 +195,9 @@ async function main() {
   }
 }
 
-main().catch(e => {
-  console.error(e);
-  process.exit(1);
-});
+if (process.argv[1].endsWith('synctex-lookup.mjs')) {
+  main().catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
@@ -6,14 +6,20 @@
  * - Clusters new annotations by page/region
  * - Renders a screenshot for each cluster
  *
+ * - Skips annotations marked addressed / won't fix (pass --include-resolved to keep them)
+ *
  * Output: /tmp/annotated-view-1.png, -2.png, etc.
  * State: /tmp/tldraw-previous-shapes.json (shape IDs from last run)
  */
 
 import puppeteer from 'puppeteer';
 import fs from 'fs';
+import { documentForSnapshot } from './scripts/doc-registry.js';
+import { annotationStatus } from './scripts/annotations.js';
 
-const snapshotPath = process.argv[2] || '/tmp/tldraw-snapshot.json';
+const args = process.argv.slice(2);
+const includeResolved = args.includes('--include-resolved');
+const snapshotPath = args.find(a => !a.startsWith('--')) || '/tmp/tldraw-snapshot.json';
 const outputDir = '/tmp';
 const statePath = '/tmp/tldraw-previous-shapes.json';
 const PAGE_HEIGHT = 1200; // approx pixels per page for clustering
@@ -25,6 +31,11 @@ async function main() {
   }
 
   const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  const docName = documentForSnapshot(snapshot);
+  if (!docName) {
+    console.error('Could not tell which document the snapshot belongs to');
+    process.exit(1);
+  }
 
   // Migrate draw shapes: convert old points format to new path format
   // tldraw changed the schema - segments now use base64-encoded 'path' instead of 'points' array
@@ -58,15 +69,21 @@ async function main() {
         y: record.y,
         index: record.index,
         color: record.props?.color || 'unknown',
+        status: annotationStatus(record),
       });
     }
   }
 
   // Find NEW annotations (not in previous snapshot)
-  const newAnnotations = allAnnotations.filter(a => !previousIds.has(a.id));
+  // Resolved ones were dealt with in an earlier round, so they're not feedback
+  const unseen = allAnnotations.filter(a => !previousIds.has(a.id));
+  const newAnnotations = includeResolved ? unseen : unseen.filter(a => a.status === 'open');
 
   console.log(`Total annotations: ${allAnnotations.length}`);
   console.log(`New annotations: ${newAnnotations.length}`);
+  if (newAnnotations.length < unseen.length) {
+    console.log(`(${unseen.length - newAnnotations.length} resolved annotation(s) hidden)`);
+  }
 
   if (newAnnotations.length === 0) {
     console.log('No new annotations since last check.');
@@ -107,7 +124,7 @@ async function main() {
   await page.setViewport({ width: 1200, height: 1600 });
 
   console.log('Loading document...');
-  await page.goto('http://localhost:5173/?doc=bregman', {
+  await page.goto(`http://localhost:5173/?doc=${encodeURIComponent(docName)}`, {
     waitUntil: 'networkidle0',
     timeout: 120000
   });
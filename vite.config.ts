@@ -8,6 +8,10 @@ export default defineConfig({
   server: {
     host: true, // Expose on all network interfaces
     port: 5173,
+    fs: {
+      // Paths to TeX sources on this machine (see scripts/doc-registry.js)
+      deny: ['.env', '.env.*', '*.{crt,pem}', '**/.git/**', 'doc-sources.json'],
+    },
   },
   optimizeDeps: {
     exclude: ['pdfjs-dist'],